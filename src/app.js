@@ -16,6 +16,8 @@ import likeRouter from "./routes/like.routes.js";
 import playlistRouter from "./routes/playlist.routes.js";
 import subscriptionRouter from "./routes/subscription.routes.js";  
 import tweetRouter from "./routes/tweet.routes.js";
+import searchRouter from "./routes/search.routes.js";
+import feedRouter from "./routes/feed.routes.js";
 import { healthCheck } from "./controllers/healthcheck.controllers.js";
 import { errorHandler } from "./middlewares/error.middlewares.js";
 
@@ -77,6 +79,8 @@ app.use("/api/v1/likes", likeRouter);
 app.use("/api/v1/playlist", playlistRouter);
 app.use("/api/v1/subscriptions", subscriptionRouter);
 app.use("/api/v1/tweets", tweetRouter); 
+app.use("/api/v1/search", searchRouter);
+app.use("/api/v1/feed", feedRouter);
 
 // Error handler should be registered AFTER routes, not before,
 // other placement will prevent error handling from working correctly
@@ -1,2 +1,93 @@
 // Database name for MongoDB connection
-export const DB_NAME = "play_sphere"
\ No newline at end of file
+export const DB_NAME = "play_sphere"
+
+// A viewer is counted at most once per video inside this window
+export const VIEW_COUNT_WINDOW_MS = 6 * 60 * 60 * 1000
+
+// Maximum number of videos kept in a user's watch history
+export const WATCH_HISTORY_LIMIT = 200
+
+// Default interval between counter reconciliation runs in the API process
+// Overridden by the COUNTER_RECONCILE_INTERVAL_MS environment variable
+export const COUNTER_RECONCILE_INTERVAL_MS = 24 * 60 * 60 * 1000
+
+// Who can see a video:
+// - public: everyone, listed in search and listings
+// - unlisted: anyone with the id, never listed
+// - private: only the owner
+export const VIDEO_VISIBILITY = Object.freeze({
+    PUBLIC: "public",
+    UNLISTED: "unlisted",
+    PRIVATE: "private"
+})
+
+// Reactions a user can leave on a video, comment or tweet (one per target)
+// Keys are stored in the database, values are the emoji shown to clients
+export const REACTIONS = Object.freeze({
+    like: "👍",
+    dislike: "👎",
+    love: "❤️",
+    haha: "😂",
+    wow: "😮",
+    sad: "😢",
+    angry: "😡"
+})
+
+export const REACTION_TYPES = Object.freeze(Object.keys(REACTIONS))
+
+// Channel analytics events and the daily rollup field each one increments
+export const CHANNEL_EVENT_FIELDS = Object.freeze({
+    view: "views",
+    like: "likes",
+    unlike: "unlikes",
+    comment: "comments",
+    subscribe: "subscribers",
+    unsubscribe: "unsubscribers"
+})
+
+// Raw analytics events are kept this long; daily rollups are kept forever
+export const ANALYTICS_EVENT_RETENTION_DAYS = 90
+
+// Sliding windows the trending ranking is computed for
+export const TRENDING_WINDOWS = Object.freeze({
+    "24h": 24 * 60 * 60 * 1000,
+    "7d": 7 * 24 * 60 * 60 * 1000,
+    "30d": 30 * 24 * 60 * 60 * 1000
+})
+
+// Default interval between trending recomputations
+// Overridden by the TRENDING_REFRESH_INTERVAL_MS environment variable
+export const TRENDING_REFRESH_INTERVAL_MS = 10 * 60 * 1000
+
+// Purposes of the single-use tokens sent by email, and how long each is valid
+export const ACCOUNT_TOKEN_PURPOSES = Object.freeze({
+    VERIFY_EMAIL: "verify-email",
+    RESET_PASSWORD: "reset-password"
+})
+
+export const ACCOUNT_TOKEN_TTL_MS = Object.freeze({
+    "verify-email": 24 * 60 * 60 * 1000,
+    "reset-password": 60 * 60 * 1000
+})
+
+// How long the challenge token between password and TOTP login steps is valid
+export const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60
+
+// Number of one-time recovery codes generated for two-factor authentication
+export const TWO_FACTOR_RECOVERY_CODE_COUNT = 10
+
+// Failed sign-in throttling, tracked per account and per client IP
+// - freeAttempts: failures allowed before backoff starts
+// - lockoutAfter: failures that lock the account or IP for LOCKOUT_MS
+// Backoff starts at BASE_DELAY_MS and doubles with every further failure,
+// up to MAX_DELAY_MS. Failures are forgotten FAILURE_WINDOW_MS after the last one
+export const LOGIN_THROTTLE = Object.freeze({
+    SCOPES: Object.freeze({
+        account: Object.freeze({ freeAttempts: 3, lockoutAfter: 10 }),
+        ip: Object.freeze({ freeAttempts: 10, lockoutAfter: 50 })
+    }),
+    BASE_DELAY_MS: 1000,
+    MAX_DELAY_MS: 5 * 60 * 1000,
+    LOCKOUT_MS: 15 * 60 * 1000,
+    FAILURE_WINDOW_MS: 60 * 60 * 1000
+})
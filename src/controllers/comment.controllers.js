@@ -1,75 +1,114 @@
 import mongoose from "mongoose"
 import { Comment } from "../models/comment.models.js"
+import { Tweet } from "../models/tweet.models.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
-import { Video } from "../models/video.models.js"
+import { findViewableVideo } from "../utils/videoVisibility.js"
+import { deleteCommentCascade } from "../utils/cascadeDelete.js"
+import { reactionSummaryStages } from "../utils/reactions.js"
+import { adjustCommentCounts } from "../utils/counters.js"
+import { recordVideoEvent } from "../utils/channelAnalytics.js"
 
-const getVideoComments = asyncHandler(async (req, res) => {
-    const {videoId} = req.params
-    const {page = 1, limit = 10} = req.query
+// Shared stages that join owner details, reaction counts and the viewer's reaction
+// likesCount and repliesCount are stored counters; isLiked mirrors the "like" reaction
+const commentDetailsStages = (viewerId) => [
+    {
+        $lookup: {
+            from: "users",
+            localField: "owner",
+            foreignField: "_id",
+            as: "owner"
+        }
+    },
+    ...reactionSummaryStages("comment", viewerId),
+    {
+        $addFields: {
+            owner: {
+                $first: "$owner"
+            },
+            isLiked: {
+                $eq: ["$viewerReaction", "like"]
+            }
+        }
+    },
+    {
+        $project: {
+            content: 1,
+            createdAt: 1,
+            likesCount: 1,
+            reactions: 1,
+            viewerReaction: 1,
+            repliesCount: 1,
+            parent: 1,
+            isDeleted: 1,
+            owner: {
+                username: 1,
+                fullName: 1,
+                avatar: 1
+            },
+            isLiked: 1
+        }
+    }
+];
+
+// Comments target either a video or a tweet; "field" is the Comment path
+// and "param" the route parameter holding the target id
+const COMMENT_TARGETS = {
+    video: { field: "video", param: "videoId" },
+    tweet: { field: "tweet", param: "tweetId" }
+};
+
+// Checks that the viewer can see the comment target, throws 400/404 otherwise
+const assertTargetVisible = async (field, targetId, viewerId) => {
+    if (field === "video") {
+        await findViewableVideo(targetId, viewerId);
+        return;
+    }
+
+    if (!mongoose.isValidObjectId(targetId)) {
+        throw new ApiError(400, "Invalid tweetId");
+    }
+    if (!(await Tweet.exists({ _id: targetId }))) {
+        throw new ApiError(404, "Tweet not found");
+    }
+};
 
-    if (!mongoose.isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid videoId");
+// Loads a comment that can be read or replied to, checking its target is visible
+const findThreadComment = async (commentId, viewerId) => {
+    if (!mongoose.isValidObjectId(commentId)) {
+        throw new ApiError(400, "Invalid commentId");
     }
 
-    const video = await Video.findById(videoId);
-    if (!video) {
-        throw new ApiError(404, "Video not found");
+    const comment = await Comment.findById(commentId);
+    if (!comment) {
+        throw new ApiError(404, "Comment not found");
     }
 
+    if (comment.tweet) {
+        await assertTargetVisible("tweet", comment.tweet, viewerId);
+    } else {
+        await assertTargetVisible("video", comment.video, viewerId);
+    }
+    return comment;
+};
+
+// Builds the handler listing top-level comments of a video or tweet
+const listTargetComments = ({ field, param }) => asyncHandler(async (req, res) => {
+    const targetId = req.params[param]
+    const {page = 1, limit = 10} = req.query
+
+    await assertTargetVisible(field, targetId, req.user?._id);
+
+    // Top-level comments only; replies are paged through getCommentReplies
     const commentsAggregate = Comment.aggregate([
         {
             $match: {
-                video: new mongoose.Types.ObjectId(videoId)
-            }
-        },
-        {
-            $lookup: {
-                from: "users",
-                localField: "owner",
-                foreignField: "_id",
-                as: "owner"
-            }
-        },
-        {
-            $lookup: {
-                from: "likes",
-                localField: "_id",
-                foreignField: "comment",
-                as: "likes"
-            }
-        },
-        {
-            $addFields: {
-                likesCount: {
-                    $size: "$likes"
-                },
-                owner: {
-                    $first: "$owner"
-                },
-                isLiked: {
-                    $cond: {
-                        if: { $in: [req.user?._id, "$likes.likedBy"] },
-                        then: true,
-                        else: false
-                    }
-                }
-            }
-        },
-        {
-            $project: {
-                content: 1,
-                createdAt: 1,
-                likesCount: 1,
-                owner: {
-                    username: 1,
-                    fullName: 1,
-                    avatar: 1
-                },
-                isLiked: 1
+                [field]: new mongoose.Types.ObjectId(targetId),
+                parent: null
             }
         },
+        ...commentDetailsStages(req.user?._id),
         {
             $sort: {
                 createdAt: -1
@@ -89,26 +128,20 @@ const getVideoComments = asyncHandler(async (req, res) => {
         .json(new ApiResponse(200, comments, "Comments fetched successfully"));
 })
 
-const addComment = asyncHandler(async (req, res) => {
-    const { videoId } = req.params;
+// Builds the handler adding a top-level comment to a video or tweet
+const createTargetComment = ({ field, param }) => asyncHandler(async (req, res) => {
+    const targetId = req.params[param];
     const { content } = req.body;
 
     if (!content) {
         throw new ApiError(400, "Content is required");
     }
 
-    if (!mongoose.isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid videoId");
-    }
-
-    const video = await Video.findById(videoId);
-    if (!video) {
-        throw new ApiError(404, "Video not found");
-    }
+    await assertTargetVisible(field, targetId, req.user?._id);
 
     const comment = await Comment.create({
         content,
-        video: videoId,
+        [field]: targetId,
         owner: req.user?._id
     });
 
@@ -116,11 +149,87 @@ const addComment = asyncHandler(async (req, res) => {
         throw new ApiError(500, "Failed to add comment");
     }
 
+    await adjustCommentCounts(comment, 1);
+    if (comment.video) {
+        await recordVideoEvent("comment", comment.video, req.user?._id);
+    }
+
     return res
         .status(201)
         .json(new ApiResponse(201, comment, "Comment added successfully"));
 })
 
+const getVideoComments = listTargetComments(COMMENT_TARGETS.video)
+const getTweetComments = listTargetComments(COMMENT_TARGETS.tweet)
+const addComment = createTargetComment(COMMENT_TARGETS.video)
+const addTweetComment = createTargetComment(COMMENT_TARGETS.tweet)
+
+const getCommentReplies = asyncHandler(async (req, res) => {
+    const { commentId } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+
+    const comment = await findThreadComment(commentId, req.user?._id);
+
+    // Replies are listed oldest first so conversations read top to bottom
+    const repliesAggregate = Comment.aggregate([
+        {
+            $match: {
+                parent: comment._id
+            }
+        },
+        ...commentDetailsStages(req.user?._id),
+        {
+            $sort: {
+                createdAt: 1
+            }
+        }
+    ]);
+
+    const options = {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10)
+    };
+
+    const replies = await Comment.aggregatePaginate(repliesAggregate, options);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, replies, "Replies fetched successfully"));
+})
+
+const addReply = asyncHandler(async (req, res) => {
+    const { commentId } = req.params;
+    const { content } = req.body;
+
+    if (!content) {
+        throw new ApiError(400, "Content is required");
+    }
+
+    const target = await findThreadComment(commentId, req.user?._id);
+
+    if (target.isDeleted) {
+        throw new ApiError(400, "Cannot reply to a deleted comment");
+    }
+
+    // Threads are one level deep: replying to a reply joins its thread
+    const reply = await Comment.create({
+        content,
+        video: target.video,
+        tweet: target.tweet,
+        parent: target.parent || target._id,
+        owner: req.user?._id
+    });
+
+    await adjustCommentCounts(reply, 1);
+    if (reply.video) {
+        await recordVideoEvent("comment", reply.video, req.user?._id);
+    }
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, reply, "Reply added successfully"));
+})
+
 const updateComment = asyncHandler(async (req, res) => {
     const { commentId } = req.params;
     const { content } = req.body;
@@ -135,7 +244,7 @@ const updateComment = asyncHandler(async (req, res) => {
 
     const comment = await Comment.findById(commentId);
 
-    if (!comment) {
+    if (!comment || comment.isDeleted) {
         throw new ApiError(404, "Comment not found");
     }
 
@@ -167,7 +276,7 @@ const deleteComment = asyncHandler(async (req, res) => {
 
     const comment = await Comment.findById(commentId);
 
-    if (!comment) {
+    if (!comment || comment.isDeleted) {
         throw new ApiError(404, "Comment not found");
     }
 
@@ -175,7 +284,8 @@ const deleteComment = asyncHandler(async (req, res) => {
         throw new ApiError(403, "You are not authorized to delete this comment");
     }
 
-    await Comment.findByIdAndDelete(commentId);
+    // A comment with replies is replaced by a "deleted" placeholder
+    await deleteCommentCascade(comment);
 
     return res
         .status(200)
@@ -184,7 +294,11 @@ const deleteComment = asyncHandler(async (req, res) => {
 
 export {
     getVideoComments,
+    getTweetComments,
+    getCommentReplies,
     addComment,
+    addTweetComment,
+    addReply,
     updateComment,
     deleteComment
 }
\ No newline at end of file
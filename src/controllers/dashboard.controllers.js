@@ -1,45 +1,139 @@
-import mongoose from "mongoose"
+import mongoose, { isValidObjectId } from "mongoose"
 import { Video } from "../models/video.models.js"
-import { Subscription } from "../models/subscription.models.js"
+import { Comment } from "../models/comment.models.js"
 import { Like } from "../models/like.models.js"
+import { Subscription } from "../models/subscription.models.js"
+import { ChannelDailyStat } from "../models/channelDailyStat.models.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
+import { parseAnalyticsRange, fillSeries } from "../utils/channelAnalytics.js"
+import { LIKE_FILTER } from "../utils/reactions.js"
+import { parseExportFormat, streamExport } from "../utils/exportStream.js"
+import { CHANNEL_EVENT_FIELDS, VIDEO_VISIBILITY } from "../constants.js"
+
+const ANALYTICS_FIELDS = Object.values(CHANNEL_EVENT_FIELDS);
+
+// $group accumulators summing every rollup counter
+const rollupSums = Object.fromEntries(
+    ANALYTICS_FIELDS.map((field) => [field, { $sum: `$${field}` }])
+);
+
+const VIDEO_ANALYTICS_SORT_FIELDS = ["views", "likes", "comments"];
+
+// sortBy values of the channel video list and the fields they sort on
+const CHANNEL_VIDEO_SORT_FIELDS = {
+    createdAt: "createdAt",
+    views: "views",
+    likes: "likesCount",
+    comments: "commentsCount"
+};
+
+// Publish states the channel video list can be filtered by; "scheduled"
+// matches videos waiting for publishAt, the others match their visibility
+const CHANNEL_VIDEO_STATUSES = [...Object.values(VIDEO_VISIBILITY), "scheduled"];
+
+const parseDateParam = (value, name) => {
+    if (value === undefined || value === "") return undefined;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ApiError(400, `${name} must be a valid date`);
+    }
+    return date;
+};
+
+const TOP_VIDEO_METRICS = ["views", "likes"];
+
+const MAX_REPORT_LIMIT = 50;
+
+// Parses the from/to/limit parameters shared by the reports
+// "createdAt" is a ready-made range condition, undefined for all time
+const parseReportParams = ({ from, to, limit = 10 }) => {
+    const start = parseDateParam(from, "from");
+    const end = parseDateParam(to, "to");
+
+    const size = parseInt(limit, 10);
+    if (!Number.isInteger(size) || size < 1 || size > MAX_REPORT_LIMIT) {
+        throw new ApiError(400, `limit must be between 1 and ${MAX_REPORT_LIMIT}`);
+    }
+
+    let createdAt;
+    if (start || end) {
+        createdAt = {};
+        if (start) createdAt.$gte = start;
+        if (end) createdAt.$lte = end;
+    }
+
+    return { start, end, createdAt, limit: size };
+};
+
+// Joins the title and thumbnail of the video referenced by "localField"
+const videoSummaryLookup = (localField) => ({
+    $lookup: {
+        from: "videos",
+        localField,
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+            {
+                $project: {
+                    title: 1,
+                    thumbnail: 1,
+                    views: 1,
+                    createdAt: 1
+                }
+            }
+        ]
+    }
+});
+
+// Joins the public profile of the user referenced by "localField"
+const userSummaryLookup = (localField, as) => ({
+    $lookup: {
+        from: "users",
+        localField,
+        foreignField: "_id",
+        as,
+        pipeline: [
+            {
+                $project: {
+                    username: 1,
+                    fullname: 1,
+                    avatar: 1
+                }
+            }
+        ]
+    }
+});
 
 const getChannelStats = asyncHandler(async (req, res) => {
     const userId = req.user?._id;
 
-    const totalSubscribers = await Subscription.countDocuments({ channel: userId });
-
+    // Totals come from the counters kept on each video and on the user
     const videoStats = await Video.aggregate([
         {
             $match: {
                 owner: new mongoose.Types.ObjectId(userId)
             }
         },
-        {
-            $lookup: {
-                from: "likes",
-                localField: "_id",
-                foreignField: "video",
-                as: "likes"
-            }
-        },
         {
             $group: {
                 _id: null,
                 totalVideos: { $sum: 1 },
                 totalViews: { $sum: "$views" },
-                totalLikes: { $sum: { $size: "$likes" } }
+                totalLikes: { $sum: "$likesCount" },
+                totalComments: { $sum: "$commentsCount" }
             }
         }
     ]);
 
     const stats = {
-        totalSubscribers: totalSubscribers || 0,
+        totalSubscribers: req.user?.subscribersCount || 0,
         totalVideos: videoStats[0]?.totalVideos || 0,
         totalViews: videoStats[0]?.totalViews || 0,
-        totalLikes: videoStats[0]?.totalLikes || 0
+        totalLikes: videoStats[0]?.totalLikes || 0,
+        totalComments: videoStats[0]?.totalComments || 0
     };
 
     return res
@@ -48,16 +142,533 @@ const getChannelStats = asyncHandler(async (req, res) => {
 });
 
 const getChannelVideos = asyncHandler(async (req, res) => {
-    const userId = req.user?._id;
+    const {
+        page = 1,
+        limit = 10,
+        status,
+        from,
+        to,
+        sortBy = "createdAt",
+        sortType = "desc"
+    } = req.query;
+
+    if (!CHANNEL_VIDEO_SORT_FIELDS[sortBy]) {
+        throw new ApiError(400, `sortBy must be one of: ${Object.keys(CHANNEL_VIDEO_SORT_FIELDS).join(", ")}`);
+    }
+
+    if (status && !CHANNEL_VIDEO_STATUSES.includes(status)) {
+        throw new ApiError(400, `status must be one of: ${CHANNEL_VIDEO_STATUSES.join(", ")}`);
+    }
+
+    const match = {
+        owner: new mongoose.Types.ObjectId(req.user?._id)
+    };
+
+    if (status === "scheduled") {
+        match.publishAt = { $ne: null };
+    } else if (status) {
+        // Scheduled videos are stored as private; they only count as scheduled
+        match.visibility = status;
+        match.publishAt = null;
+    }
+
+    // Upload date range, both ends inclusive
+    const uploadedAfter = parseDateParam(from, "from");
+    const uploadedBefore = parseDateParam(to, "to");
+    if (uploadedAfter || uploadedBefore) {
+        match.createdAt = {};
+        if (uploadedAfter) match.createdAt.$gte = uploadedAfter;
+        if (uploadedBefore) match.createdAt.$lte = uploadedBefore;
+    }
+
+    const direction = sortType === "asc" ? 1 : -1;
+
+    // likesCount and commentsCount are the counters stored on each video
+    const aggregate = Video.aggregate([
+        {
+            $match: match
+        },
+        {
+            $addFields: {
+                // Waiting for scheduled publishing; publishAt is the go-live time
+                isScheduled: { $gt: ["$publishAt", null] }
+            }
+        },
+        {
+            $sort: {
+                [CHANNEL_VIDEO_SORT_FIELDS[sortBy]]: direction,
+                _id: direction
+            }
+        }
+    ]);
+
+    const options = {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10)
+    };
 
-    const videos = await Video.find({ owner: userId });
+    const videos = await Video.aggregatePaginate(aggregate, options);
 
     return res
         .status(200)
         .json(new ApiResponse(200, videos, "Channel videos fetched successfully"));
 });
 
+// Views, likes, comments and subscriber changes per day, week or month,
+// optionally narrowed to one video
+const getChannelAnalytics = asyncHandler(async (req, res) => {
+    const { videoId } = req.query;
+    const range = parseAnalyticsRange(req.query);
+
+    const match = {
+        channel: new mongoose.Types.ObjectId(req.user?._id),
+        day: { $gte: range.start, $lt: range.end }
+    };
+
+    if (videoId) {
+        if (!isValidObjectId(videoId)) {
+            throw new ApiError(400, "Invalid videoId");
+        }
+        match.video = new mongoose.Types.ObjectId(videoId);
+    }
+
+    // Daily rollups are summed into the requested period (weeks start on Monday)
+    const rows = await ChannelDailyStat.aggregate([
+        {
+            $match: match
+        },
+        {
+            $group: {
+                _id: range.interval === "day"
+                    ? "$day"
+                    : { $dateTrunc: { date: "$day", unit: range.interval, startOfWeek: "monday" } },
+                ...rollupSums
+            }
+        }
+    ]);
+
+    const series = fillSeries(rows, range);
+    const totals = Object.fromEntries(
+        ANALYTICS_FIELDS.map((field) => [field, series.reduce((sum, point) => sum + point[field], 0)])
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            interval: range.interval,
+            from: range.start,
+            to: range.end,
+            videoId: videoId || null,
+            totals,
+            series
+        }, "Channel analytics fetched successfully"));
+});
+
+// Per-video totals over a date range, busiest videos first
+const getVideoAnalytics = asyncHandler(async (req, res) => {
+    const { sortBy = "views", page = 1, limit = 10 } = req.query;
+    const range = parseAnalyticsRange(req.query);
+
+    if (!VIDEO_ANALYTICS_SORT_FIELDS.includes(sortBy)) {
+        throw new ApiError(400, `sortBy must be one of: ${VIDEO_ANALYTICS_SORT_FIELDS.join(", ")}`);
+    }
+
+    const aggregate = ChannelDailyStat.aggregate([
+        {
+            $match: {
+                channel: new mongoose.Types.ObjectId(req.user?._id),
+                day: { $gte: range.start, $lt: range.end },
+                video: { $ne: null }
+            }
+        },
+        {
+            $group: {
+                _id: "$video",
+                ...rollupSums
+            }
+        },
+        {
+            $sort: {
+                [sortBy]: -1,
+                _id: 1
+            }
+        },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "_id",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    {
+                        $project: {
+                            title: 1,
+                            thumbnail: 1,
+                            visibility: 1,
+                            createdAt: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                video: { $first: "$video" }
+            }
+        }
+    ]);
+
+    const options = {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10)
+    };
+
+    const videos = await ChannelDailyStat.aggregatePaginate(aggregate, options);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            from: range.start,
+            to: range.end,
+            ...videos
+        }, "Video analytics fetched successfully"));
+});
+
+// Most viewed or most liked videos of the channel in a period
+// Views in a period come from the analytics rollups, since Video.views is a
+// lifetime total and individual views aren't kept; days before analytics
+// tracking started count no views. Likes come from the like documents
+// created in the period
+const getTopVideos = asyncHandler(async (req, res) => {
+    const { metric = "views" } = req.query;
+    const { start, end, createdAt, limit } = parseReportParams(req.query);
+    const channelId = new mongoose.Types.ObjectId(req.user?._id);
+
+    if (!TOP_VIDEO_METRICS.includes(metric)) {
+        throw new ApiError(400, `metric must be one of: ${TOP_VIDEO_METRICS.join(", ")}`);
+    }
+
+    let topVideos;
+    let counts;
+
+    if (metric === "views" && !createdAt) {
+        // All time: the lifetime totals on the videos are exact
+        const videos = await Video.find({ owner: channelId })
+            .sort({ views: -1, _id: 1 })
+            .limit(limit)
+            .select("title thumbnail views createdAt")
+            .lean();
+        topVideos = videos.map((video) => ({ _id: video._id, count: video.views, video }));
+    } else if (metric === "views") {
+        counts = ChannelDailyStat.aggregate([
+            {
+                $match: {
+                    channel: channelId,
+                    video: { $ne: null },
+                    day: createdAt
+                }
+            },
+            {
+                $group: {
+                    _id: "$video",
+                    count: { $sum: "$views" }
+                }
+            }
+        ]);
+    } else {
+        const channelVideoIds = await Video.find({ owner: channelId }).distinct("_id");
+        counts = Like.aggregate([
+            {
+                $match: {
+                    video: { $in: channelVideoIds },
+                    ...LIKE_FILTER,
+                    ...(createdAt && { createdAt })
+                }
+            },
+            {
+                $group: {
+                    _id: "$video",
+                    count: { $sum: 1 }
+                }
+            }
+        ]);
+    }
+
+    if (counts) {
+        topVideos = await counts
+            .sort({ count: -1, _id: 1 })
+            .limit(limit)
+            .append(videoSummaryLookup("_id"), { $unwind: "$video" });
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            metric,
+            from: start || null,
+            to: end || null,
+            videos: topVideos
+        }, "Top videos fetched successfully"));
+});
+
+// Most liked comments left on the channel's videos
+const getTopComments = asyncHandler(async (req, res) => {
+    const { createdAt, limit } = parseReportParams(req.query);
+
+    const channelVideoIds = await Video.find({ owner: req.user?._id }).distinct("_id");
+
+    const comments = await Comment.aggregate([
+        {
+            $match: {
+                video: { $in: channelVideoIds },
+                isDeleted: { $ne: true },
+                ...(createdAt && { createdAt })
+            }
+        },
+        {
+            $sort: {
+                likesCount: -1,
+                createdAt: -1
+            }
+        },
+        {
+            $limit: limit
+        },
+        userSummaryLookup("owner", "owner"),
+        videoSummaryLookup("video"),
+        {
+            $project: {
+                content: 1,
+                createdAt: 1,
+                likesCount: 1,
+                repliesCount: 1,
+                parent: 1,
+                owner: { $first: "$owner" },
+                video: { $first: "$video" }
+            }
+        }
+    ]);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, comments, "Top comments fetched successfully"));
+});
+
+// Viewers who commented the most on the channel's videos
+const getTopCommenters = asyncHandler(async (req, res) => {
+    const { createdAt, limit } = parseReportParams(req.query);
+
+    const channelVideoIds = await Video.find({ owner: req.user?._id }).distinct("_id");
+
+    const commenters = await Comment.aggregate([
+        {
+            $match: {
+                video: { $in: channelVideoIds },
+                owner: { $ne: null },
+                ...(createdAt && { createdAt })
+            }
+        },
+        {
+            $group: {
+                _id: "$owner",
+                commentsCount: { $sum: 1 },
+                videos: { $addToSet: "$video" },
+                lastCommentedAt: { $max: "$createdAt" }
+            }
+        },
+        {
+            $sort: {
+                commentsCount: -1,
+                lastCommentedAt: -1
+            }
+        },
+        {
+            $limit: limit
+        },
+        userSummaryLookup("_id", "user"),
+        {
+            $unwind: "$user"
+        },
+        {
+            $project: {
+                _id: 0,
+                user: 1,
+                commentsCount: 1,
+                videosCommented: { $size: "$videos" },
+                lastCommentedAt: 1
+            }
+        }
+    ]);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, commenters, "Top commenters fetched successfully"));
+});
+
+// Videos ranked by how many subscribers watched them last before subscribing
+// The source video is recorded on each subscription when it is made, so the
+// leaderboard covers every subscription since then, however old
+const getSubscriberSources = asyncHandler(async (req, res) => {
+    const { createdAt, limit } = parseReportParams(req.query);
+    const channelId = new mongoose.Types.ObjectId(req.user?._id);
+
+    const sources = await Subscription.aggregate([
+        {
+            $match: {
+                channel: channelId,
+                sourceVideo: { $ne: null },
+                ...(createdAt && { createdAt })
+            }
+        },
+        {
+            $group: {
+                _id: "$sourceVideo",
+                subscribers: { $sum: 1 }
+            }
+        },
+        {
+            $sort: {
+                subscribers: -1,
+                _id: 1
+            }
+        },
+        {
+            $limit: limit
+        },
+        videoSummaryLookup("_id"),
+        {
+            $unwind: "$video"
+        }
+    ]);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, sources, "Subscriber sources fetched successfully"));
+});
+
+// Columns and row source of each export; the range condition applies to
+// upload, subscription and comment dates respectively
+const EXPORT_DATASETS = {
+    videos: {
+        columns: [
+            { header: "videoId", value: (video) => video._id },
+            { header: "title", value: (video) => video.title },
+            { header: "visibility", value: (video) => video.visibility },
+            { header: "publishAt", value: (video) => video.publishAt },
+            { header: "uploadedAt", value: (video) => video.createdAt },
+            { header: "duration", value: (video) => video.duration },
+            { header: "views", value: (video) => video.views },
+            { header: "likes", value: (video) => video.likesCount || 0 },
+            { header: "comments", value: (video) => video.commentsCount || 0 }
+        ],
+        cursor: (channelId, createdAt) => Video.find({
+            owner: channelId,
+            ...(createdAt && { createdAt })
+        })
+            .sort({ createdAt: 1 })
+            .select("title visibility publishAt createdAt duration views likesCount commentsCount")
+            .lean()
+            .cursor()
+    },
+    subscribers: {
+        columns: [
+            { header: "subscriberId", value: (row) => row.subscriber },
+            { header: "username", value: (row) => row.user?.username },
+            { header: "fullname", value: (row) => row.user?.fullname },
+            { header: "subscribedAt", value: (row) => row.createdAt }
+        ],
+        cursor: (channelId, createdAt) => Subscription.aggregate([
+            {
+                $match: {
+                    channel: channelId,
+                    ...(createdAt && { createdAt })
+                }
+            },
+            {
+                $sort: {
+                    createdAt: 1
+                }
+            },
+            userSummaryLookup("subscriber", "user"),
+            {
+                $addFields: {
+                    user: { $first: "$user" }
+                }
+            }
+        ]).cursor()
+    },
+    comments: {
+        columns: [
+            { header: "commentId", value: (comment) => comment._id },
+            { header: "videoId", value: (comment) => comment.video },
+            { header: "videoTitle", value: (comment) => comment.videoTitle },
+            { header: "parentId", value: (comment) => comment.parent },
+            { header: "author", value: (comment) => comment.author },
+            { header: "content", value: (comment) => comment.content },
+            { header: "likes", value: (comment) => comment.likesCount || 0 },
+            { header: "replies", value: (comment) => comment.repliesCount || 0 },
+            { header: "isDeleted", value: (comment) => Boolean(comment.isDeleted) },
+            { header: "createdAt", value: (comment) => comment.createdAt }
+        ],
+        cursor: async (channelId, createdAt) => {
+            const channelVideoIds = await Video.find({ owner: channelId }).distinct("_id");
+
+            return Comment.aggregate([
+                {
+                    $match: {
+                        video: { $in: channelVideoIds },
+                        ...(createdAt && { createdAt })
+                    }
+                },
+                {
+                    $sort: {
+                        createdAt: 1
+                    }
+                },
+                userSummaryLookup("owner", "owner"),
+                videoSummaryLookup("video"),
+                {
+                    $addFields: {
+                        author: { $first: "$owner.username" },
+                        videoTitle: { $first: "$video.title" },
+                        video: { $first: "$video._id" }
+                    }
+                }
+            ]).cursor();
+        }
+    }
+};
+
+// Streams the channel's videos, subscribers or comment history as CSV or NDJSON
+const exportChannelData = asyncHandler(async (req, res) => {
+    const { dataset } = req.query;
+    const format = parseExportFormat(req.query.format);
+    const { createdAt } = parseReportParams({ from: req.query.from, to: req.query.to });
+
+    const source = EXPORT_DATASETS[dataset];
+    if (!source) {
+        throw new ApiError(400, `dataset must be one of: ${Object.keys(EXPORT_DATASETS).join(", ")}`);
+    }
+
+    const channelId = new mongoose.Types.ObjectId(req.user?._id);
+    const cursor = await source.cursor(channelId, createdAt);
+
+    await streamExport(res, {
+        format,
+        filename: `${req.user?.username}-${dataset}`,
+        columns: source.columns,
+        cursor
+    });
+});
+
 export {
     getChannelStats,
-    getChannelVideos
+    getChannelVideos,
+    getChannelAnalytics,
+    getVideoAnalytics,
+    getTopVideos,
+    getTopComments,
+    getTopCommenters,
+    getSubscriberSources,
+    exportChannelData
     }
\ No newline at end of file
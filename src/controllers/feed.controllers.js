@@ -0,0 +1,162 @@
+import mongoose from "mongoose"
+import { ApiError } from "../utils/apiError.js"
+import { ApiResponse } from "../utils/apiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { Video } from "../models/video.models.js"
+import { Subscription } from "../models/subscription.models.js"
+import { listedVideoFilter } from "../utils/videoVisibility.js"
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Items are ordered by the time they appeared: publishedAt for videos (a
+// scheduled or later published video goes live at that time, not at
+// upload) and createdAt for tweets. Both are exposed as publishedAt.
+//
+// Feed cursors are opaque to clients: "<publishedAt ms>_<id>" of the last
+// item, base64url encoded. Items sort by (publishedAt, _id) descending, so
+// the next page is everything strictly before that pair.
+const encodeCursor = (item) =>
+    Buffer.from(`${item.publishedAt.getTime()}_${item._id}`).toString("base64url");
+
+const decodeCursor = (cursor) => {
+    const [time, id] = Buffer.from(cursor, "base64url").toString().split("_");
+    const publishedAt = new Date(Number(time));
+
+    if (!time || Number.isNaN(publishedAt.getTime()) || !mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, "Invalid cursor");
+    }
+    return { publishedAt, _id: new mongoose.Types.ObjectId(id) };
+};
+
+// Condition selecting items whose time field comes after the cursor position
+const afterCursor = (position, field) => (position
+    ? {
+        $or: [
+            { [field]: { $lt: position.publishedAt } },
+            { [field]: position.publishedAt, _id: { $lt: position._id } }
+        ]
+    }
+    : {});
+
+const newestFirst = (field) => ({ [field]: -1, _id: -1 });
+
+// Videos and tweets from the channels the user follows, newest first
+// Videos the user has in their watch history are flagged with isWatched
+const getSubscriptionFeed = asyncHandler(async (req, res) => {
+    const { cursor } = req.query;
+    const limit = parseInt(req.query.limit ?? DEFAULT_LIMIT, 10);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new ApiError(400, `limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    const position = cursor ? decodeCursor(cursor) : null;
+    const channelIds = await Subscription.find({ subscriber: req.user?._id }).distinct("channel");
+
+    if (!channelIds.length) {
+        return res
+            .status(200)
+            .json(new ApiResponse(200, { items: [], nextCursor: null, hasMore: false }, "Feed fetched successfully"));
+    }
+
+    const watchedVideoIds = req.user?.watchHistory || [];
+
+    // Each source is cut to one page before the merge, so the union never
+    // holds more than two pages; one extra item tells whether more follow
+    const items = await Video.aggregate([
+        {
+            $match: {
+                owner: { $in: channelIds },
+                // Published (public) videos only; ones without a publish
+                // time wait for the migrate:video-published-at backfill
+                publishedAt: { $ne: null },
+                $and: [afterCursor(position, "publishedAt"), listedVideoFilter()]
+            }
+        },
+        { $sort: newestFirst("publishedAt") },
+        { $limit: limit + 1 },
+        {
+            $project: {
+                type: { $literal: "video" },
+                owner: 1,
+                publishedAt: 1,
+                createdAt: 1,
+                title: 1,
+                description: 1,
+                thumbnail: 1,
+                duration: 1,
+                views: 1,
+                likesCount: 1,
+                commentsCount: 1,
+                isWatched: { $in: ["$_id", watchedVideoIds] }
+            }
+        },
+        {
+            $unionWith: {
+                coll: "tweets",
+                pipeline: [
+                    {
+                        $match: {
+                            owner: { $in: channelIds },
+                            ...afterCursor(position, "createdAt")
+                        }
+                    },
+                    { $sort: newestFirst("createdAt") },
+                    { $limit: limit + 1 },
+                    {
+                        $project: {
+                            type: { $literal: "tweet" },
+                            owner: 1,
+                            publishedAt: "$createdAt",
+                            createdAt: 1,
+                            content: 1,
+                            likesCount: 1,
+                            commentsCount: 1,
+                            isWatched: { $literal: false }
+                        }
+                    }
+                ]
+            }
+        },
+        { $sort: newestFirst("publishedAt") },
+        { $limit: limit + 1 },
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    {
+                        $project: {
+                            username: 1,
+                            fullname: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                owner: { $first: "$owner" }
+            }
+        }
+    ]);
+
+    const hasMore = items.length > limit;
+    const page = items.slice(0, limit);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            items: page,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+            hasMore
+        }, "Feed fetched successfully"));
+});
+
+export {
+    getSubscriptionFeed
+}
@@ -2,62 +2,35 @@ import mongoose, { isValidObjectId } from "mongoose"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
-import { Video } from "../models/video.models.js"
 import { Comment } from "../models/comment.models.js"
 import { Tweet } from "../models/tweet.models.js"
 import { Like } from "../models/like.models.js"
-
-const toggleVideoLike = asyncHandler(async (req, res) => {
-    const {videoId} = req.params;
-
-    if (!isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid videoId");
-    }
-
-    const video = await Video.findById(videoId);
-    if (!video) {
-        throw new ApiError(404, "Video not found");
-    }
-
-    const likeConditions = { video: videoId, likedBy: req.user?._id };
-    const alreadyLiked = await Like.findOne(likeConditions);
-
-    if (alreadyLiked) {
-        await Like.findByIdAndDelete(alreadyLiked._id);
-        return res.status(200).json(new ApiResponse(200, { isLiked: false }, "Like removed successfully"));
-    } else {
-        await Like.create(likeConditions);
-        return res.status(200).json(new ApiResponse(200, { isLiked: true }, "Like added successfully"));
-    }
-});
-
-const toggleCommentLike = asyncHandler(async (req, res) => {
-    const {commentId} = req.params;
-
+import { findViewableVideo, reachableVideoFilter } from "../utils/videoVisibility.js"
+import {
+    REACTIONS,
+    LIKE_FILTER,
+    parseReaction,
+    setReaction,
+    getReactionSummary
+} from "../utils/reactions.js"
+
+// Loaders that check a reaction target exists (and is visible) before reacting
+const ensureVideo = async (videoId, viewerId) => {
+    await findViewableVideo(videoId, viewerId);
+};
+
+const ensureComment = async (commentId) => {
     if (!isValidObjectId(commentId)) {
         throw new ApiError(400, "Invalid commentId");
     }
 
     const comment = await Comment.findById(commentId);
-    if (!comment) {
+    if (!comment || comment.isDeleted) {
         throw new ApiError(404, "Comment not found");
     }
+};
 
-    const likeConditions = { comment: commentId, likedBy: req.user?._id };
-    const alreadyLiked = await Like.findOne(likeConditions);
-
-    if (alreadyLiked) {
-        await Like.findByIdAndDelete(alreadyLiked._id);
-        return res.status(200).json(new ApiResponse(200, { isLiked: false }, "Like removed successfully"));
-    } else {
-        await Like.create(likeConditions);
-        return res.status(200).json(new ApiResponse(200, { isLiked: true }, "Like added successfully"));
-    }
-});
-
-const toggleTweetLike = asyncHandler(async (req, res) => {
-    const {tweetId} = req.params;
-
+const ensureTweet = async (tweetId) => {
     if (!isValidObjectId(tweetId)) {
         throw new ApiError(400, "Invalid tweetId");
     }
@@ -66,17 +39,55 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
     if (!tweet) {
         throw new ApiError(404, "Tweet not found");
     }
+};
 
-    const likeConditions = { tweet: tweetId, likedBy: req.user?._id };
-    const alreadyLiked = await Like.findOne(likeConditions);
+// Builds the legacy like toggle for a target, kept as the "like" reaction
+const toggleLike = (field, param, ensureTarget) => asyncHandler(async (req, res) => {
+    const targetId = req.params[param];
 
-    if (alreadyLiked) {
-        await Like.findByIdAndDelete(alreadyLiked._id);
-        return res.status(200).json(new ApiResponse(200, { isLiked: false }, "Like removed successfully"));
-    } else {
-        await Like.create(likeConditions);
+    await ensureTarget(targetId, req.user?._id);
+
+    const reaction = await setReaction(field, targetId, req.user?._id, "like");
+
+    if (reaction === "like") {
         return res.status(200).json(new ApiResponse(200, { isLiked: true }, "Like added successfully"));
     }
+    return res.status(200).json(new ApiResponse(200, { isLiked: false }, "Like removed successfully"));
+});
+
+// Builds the reaction handler for a target
+// Sending the reaction the user already has removes it
+const react = (field, param, ensureTarget) => asyncHandler(async (req, res) => {
+    const targetId = req.params[param];
+    const reaction = parseReaction(req.body.reaction);
+
+    await ensureTarget(targetId, req.user?._id);
+
+    const viewerReaction = await setReaction(field, targetId, req.user?._id, reaction);
+    const summary = await getReactionSummary(field, targetId, req.user?._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { ...summary, viewerReaction },
+            viewerReaction ? "Reaction saved successfully" : "Reaction removed successfully"
+        ));
+});
+
+const toggleVideoLike = toggleLike("video", "videoId", ensureVideo);
+const toggleCommentLike = toggleLike("comment", "commentId", ensureComment);
+const toggleTweetLike = toggleLike("tweet", "tweetId", ensureTweet);
+
+const reactToVideo = react("video", "videoId", ensureVideo);
+const reactToComment = react("comment", "commentId", ensureComment);
+const reactToTweet = react("tweet", "tweetId", ensureTweet);
+
+// Lists the available reaction types with their emoji
+const getReactionTypes = asyncHandler(async (req, res) => {
+    return res
+        .status(200)
+        .json(new ApiResponse(200, REACTIONS, "Reaction types fetched successfully"));
 });
 
 const getLikedVideos = asyncHandler(async (req, res) => {
@@ -84,7 +95,8 @@ const getLikedVideos = asyncHandler(async (req, res) => {
         {
             $match: {
                 likedBy: new mongoose.Types.ObjectId(req.user?._id),
-                video: { $exists: true }
+                video: { $exists: true },
+                ...LIKE_FILTER
             }
         },
         {
@@ -94,6 +106,10 @@ const getLikedVideos = asyncHandler(async (req, res) => {
                 foreignField: "_id",
                 as: "videoDetails",
                 pipeline: [
+                    {
+                        // Drop videos that have since been made private
+                        $match: reachableVideoFilter(req.user?._id)
+                    },
                     {
                         $lookup: {
                             from: "users",
@@ -123,7 +139,7 @@ const getLikedVideos = asyncHandler(async (req, res) => {
                 description: 1,
                 duration: 1,
                 views: 1,
-                isPublished: 1,
+                visibility: 1,
                 "ownerDetails.username": 1,
                 "ownerDetails.avatar": 1,
             }
@@ -139,5 +155,9 @@ export {
     toggleCommentLike,
     toggleTweetLike,
     toggleVideoLike,
+    reactToVideo,
+    reactToComment,
+    reactToTweet,
+    getReactionTypes,
     getLikedVideos
 }
\ No newline at end of file
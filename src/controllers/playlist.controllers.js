@@ -4,10 +4,36 @@ import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
 import { Video } from "../models/video.models.js"
 import { Playlist } from "../models/playlist.models.js"
+import { deletePlaylistCascade } from "../utils/cascadeDelete.js"
+import { reachableVideoFilter } from "../utils/videoVisibility.js"
+
+// Removes videos the viewer may not see from each playlist's video list
+const hideUnavailableVideos = async (playlists, viewerId) => {
+    const videoIds = playlists.flatMap((playlist) => playlist.videos);
+    if (!videoIds.length) return playlists;
+
+    const visibleVideos = await Video.find({
+        _id: { $in: videoIds },
+        ...reachableVideoFilter(viewerId)
+    }).select("_id");
+    const visibleIds = new Set(visibleVideos.map((video) => video._id.toString()));
+
+    return playlists.map((playlist) => ({
+        ...playlist.toObject(),
+        videos: playlist.videos.filter((id) => visibleIds.has(id.toString()))
+    }));
+};
+
+// Accepts booleans from JSON bodies and "true"/"false" from form bodies
+const parseIsPublic = (value) => {
+    if (value === undefined) return undefined;
+    return value === true || value === "true";
+};
 
 
 const createPlaylist = asyncHandler(async (req, res) => {
     const {name, description} = req.body;
+    const isPublic = parseIsPublic(req.body.isPublic);
 
     if (!name || !description) {
         throw new ApiError(400, "Name and description are required");
@@ -16,6 +42,7 @@ const createPlaylist = asyncHandler(async (req, res) => {
     const playlist = await Playlist.create({
         name,
         description,
+        isPublic,
         owner: req.user?._id
     });
 
@@ -35,11 +62,18 @@ const getUserPlaylists = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid userId");
     }
 
-    const playlists = await Playlist.find({owner: userId});
+    // Other users only see public playlists
+    const filter = { owner: userId };
+    if (userId !== req.user?._id.toString()) {
+        filter.isPublic = { $ne: false };
+    }
+
+    const playlists = await Playlist.find(filter);
+    const visiblePlaylists = await hideUnavailableVideos(playlists, req.user?._id);
 
     return res
         .status(200)
-        .json(new ApiResponse(200, playlists, "User playlists fetched successfully"));
+        .json(new ApiResponse(200, visiblePlaylists, "User playlists fetched successfully"));
 });
 
 const getPlaylistById = asyncHandler(async (req, res) => {
@@ -51,13 +85,16 @@ const getPlaylistById = asyncHandler(async (req, res) => {
 
     const playlist = await Playlist.findById(playlistId);
 
-    if (!playlist) {
+    // Private playlists are reported as missing to everyone but the owner
+    if (!playlist || (playlist.isPublic === false && playlist.owner.toString() !== req.user?._id.toString())) {
         throw new ApiError(404, "Playlist not found");
     }
 
+    const [visiblePlaylist] = await hideUnavailableVideos([playlist], req.user?._id);
+
     return res
         .status(200)
-        .json(new ApiResponse(200, playlist, "Playlist fetched successfully"));
+        .json(new ApiResponse(200, visiblePlaylist, "Playlist fetched successfully"));
 });
 
 const addVideoToPlaylist = asyncHandler(async (req, res) => {
@@ -149,7 +186,7 @@ const deletePlaylist = asyncHandler(async (req, res) => {
         throw new ApiError(403, "You are not authorized to delete this playlist");
     }
 
-    await Playlist.findByIdAndDelete(playlistId);
+    await deletePlaylistCascade(playlist);
 
     return res
         .status(200)
@@ -159,6 +196,7 @@ const deletePlaylist = asyncHandler(async (req, res) => {
 const updatePlaylist = asyncHandler(async (req, res) => {
     const {playlistId} = req.params;
     const {name, description} = req.body;
+    const isPublic = parseIsPublic(req.body.isPublic);
 
     if (!name || !description) {
         throw new ApiError(400, "Name and description are required");
@@ -183,7 +221,8 @@ const updatePlaylist = asyncHandler(async (req, res) => {
         {
             $set: {
                 name,
-                description
+                description,
+                ...(isPublic !== undefined ? { isPublic } : {})
             }
         },
         { new: true }
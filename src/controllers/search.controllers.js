@@ -0,0 +1,196 @@
+import mongoose from "mongoose"
+import { ApiError } from "../utils/apiError.js"
+import { ApiResponse } from "../utils/apiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { User } from "../models/user.models.js"
+import { Video } from "../models/video.models.js"
+import { Playlist } from "../models/playlist.models.js"
+import { Tweet } from "../models/tweet.models.js"
+import {
+    MAX_QUERY_LENGTH,
+    escapeRegex,
+    buildVideoSearchPipeline,
+    highlightMatches
+} from "../utils/videoSearch.js"
+
+const SEARCH_TYPES = ["channels", "videos", "playlists", "tweets"];
+const MAX_LIMIT = 50;
+
+// Joins the owner's public profile onto each result
+const ownerLookup = [
+    {
+        $lookup: {
+            from: "users",
+            localField: "owner",
+            foreignField: "_id",
+            as: "owner",
+            pipeline: [
+                {
+                    $project: {
+                        username: 1,
+                        fullname: 1,
+                        avatar: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            owner: { $first: "$owner" }
+        }
+    }
+];
+
+// Channels match on a prefix of the username, or when every word of the
+// query starts a word of the full name ("doe" and "jane d" find "Jane Doe").
+// All patterns are anchored and lowercase, so the username and
+// fullnameTokens indexes serve them
+const searchChannels = (query) => {
+    const words = User.fullnameTokens(query).map(escapeRegex);
+
+    return User.aggregate([
+        {
+            $match: {
+                $or: [
+                    { username: { $regex: `^${escapeRegex(query.toLowerCase())}` } },
+                    { fullnameTokens: { $all: words.map((word) => new RegExp(`^${word}`)) } }
+                ]
+            }
+        },
+        {
+            $sort: { username: 1 }
+        },
+        {
+            $project: {
+                username: 1,
+                fullname: 1,
+                avatar: 1,
+                coverImage: 1
+            }
+        }
+    ]);
+};
+
+const searchVideos = (query, viewerId) =>
+    Video.aggregate([
+        ...buildVideoSearchPipeline({ query, viewerId }),
+        ...ownerLookup,
+        {
+            $project: {
+                videoFileAsset: 0,
+                thumbnailAsset: 0
+            }
+        }
+    ]);
+
+// Public playlists, plus the viewer's own private ones
+const searchPlaylists = (query, viewerId) =>
+    Playlist.aggregate([
+        {
+            $match: {
+                $text: { $search: query },
+                $or: [
+                    { isPublic: { $ne: false } },
+                    { owner: new mongoose.Types.ObjectId(viewerId) }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                score: { $meta: "textScore" },
+                videosCount: { $size: "$videos" }
+            }
+        },
+        {
+            $sort: { score: -1, updatedAt: -1 }
+        },
+        ...ownerLookup
+    ]);
+
+const searchTweets = (query) =>
+    Tweet.aggregate([
+        {
+            $match: {
+                $text: { $search: query }
+            }
+        },
+        {
+            $addFields: {
+                score: { $meta: "textScore" }
+            }
+        },
+        {
+            $sort: { score: -1, createdAt: -1 }
+        },
+        ...ownerLookup
+    ]);
+
+/**
+ * Searches channels, videos, playlists and tweets in one request
+ *
+ * Query parameters:
+ *   q     - Search text (required)
+ *   type  - Comma-separated subset of channels, videos, playlists, tweets
+ *   page  - Page number, applied to every group
+ *   limit - Results per group (max 50)
+ *
+ * Each group is paginated independently and returned under its type.
+ */
+const searchAll = asyncHandler(async (req, res) => {
+    const { q, type, page = 1, limit = 10 } = req.query;
+
+    // Repeated parameters arrive as arrays
+    if ((q !== undefined && typeof q !== "string") || (type !== undefined && typeof type !== "string")) {
+        throw new ApiError(400, "q and type must be given once; list several types comma-separated");
+    }
+
+    const query = q?.trim();
+
+    if (!query) {
+        throw new ApiError(400, "Search query is required");
+    }
+
+    if (query.length > MAX_QUERY_LENGTH) {
+        throw new ApiError(400, `Search query must be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+
+    const types = type ? type.split(",").map((value) => value.trim()) : SEARCH_TYPES;
+    const invalidTypes = types.filter((value) => !SEARCH_TYPES.includes(value));
+    if (invalidTypes.length) {
+        throw new ApiError(400, `Unknown search type: ${invalidTypes.join(", ")}`);
+    }
+
+    const options = {
+        page: Math.max(parseInt(page, 10) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit, 10) || 10, 1), MAX_LIMIT)
+    };
+
+    const viewerId = req.user?._id;
+    const searches = {
+        channels: () => User.aggregatePaginate(searchChannels(query), options),
+        videos: async () => {
+            const videos = await Video.aggregatePaginate(searchVideos(query, viewerId), options);
+            videos.docs = videos.docs.map((video) => ({
+                ...video,
+                highlights: highlightMatches(video, query)
+            }));
+            return videos;
+        },
+        playlists: () => Playlist.aggregatePaginate(searchPlaylists(query, viewerId), options),
+        tweets: () => Tweet.aggregatePaginate(searchTweets(query), options)
+    };
+
+    const results = {};
+    for (const searchType of types) {
+        results[searchType] = await searches[searchType]();
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { query, results }, "Search results fetched successfully"));
+});
+
+export {
+    searchAll
+}
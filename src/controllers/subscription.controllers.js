@@ -4,6 +4,8 @@ import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
 import { User } from "../models/user.models.js"
 import { Subscription } from "../models/subscription.models.js"
+import { adjustSubscriptionCounts } from "../utils/counters.js"
+import { recordChannelEvent, findLastWatchedVideo } from "../utils/channelAnalytics.js"
 
 
 const toggleSubscription = asyncHandler(async (req, res) => {
@@ -19,19 +21,34 @@ const toggleSubscription = asyncHandler(async (req, res) => {
     }
 
     const subscriptionConditions = { subscriber: req.user?._id, channel: channelId };
-    const existingSubscription = await Subscription.findOne(subscriptionConditions);
 
-    if (existingSubscription) {
-        await Subscription.findByIdAndDelete(existingSubscription._id);
+    // Delete or insert in one operation each; the unique (subscriber, channel)
+    // index stops concurrent toggles from creating duplicate rows
+    const removedSubscription = await Subscription.findOneAndDelete(subscriptionConditions);
+
+    if (removedSubscription) {
+        await adjustSubscriptionCounts(req.user?._id, channelId, -1);
+        await recordChannelEvent({ type: "unsubscribe", channel: channel._id, actor: req.user?._id });
         return res
             .status(200)
             .json(new ApiResponse(200, { isSubscribed: false }, "Unsubscribed successfully"));
-    } else {
-        await Subscription.create(subscriptionConditions);
-        return res
-            .status(200)
-            .json(new ApiResponse(200, { isSubscribed: true }, "Subscribed successfully"));
     }
+
+    try {
+        // Kept on the subscription so the dashboard can credit the video
+        // that brought the subscriber in
+        const sourceVideo = await findLastWatchedVideo(req.user, channel._id);
+        await Subscription.create({ ...subscriptionConditions, sourceVideo });
+        await adjustSubscriptionCounts(req.user?._id, channelId, 1);
+        await recordChannelEvent({ type: "subscribe", channel: channel._id, actor: req.user?._id });
+    } catch (error) {
+        // Duplicate key: a concurrent request already subscribed (and counted it)
+        if (error?.code !== 11000) throw error;
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { isSubscribed: true }, "Subscribed successfully"));
 });
 
 // controller to return subscriber list of a channel
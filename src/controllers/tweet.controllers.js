@@ -4,6 +4,8 @@ import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
 import { Tweet } from "../models/tweet.models.js"
 import { User } from "../models/user.models.js"
+import { deleteTweetCascade } from "../utils/cascadeDelete.js"
+import { reactionSummaryStages } from "../utils/reactions.js"
 
 const createTweet = asyncHandler(async (req, res) => {
     const { content } = req.body;
@@ -33,7 +35,20 @@ const getUserTweets = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid userId");
     }
 
-    const tweets = await Tweet.find({ owner: userId }).sort({ createdAt: -1 });
+    // Each tweet carries its reaction counts and the viewer's own reaction
+    const tweets = await Tweet.aggregate([
+        {
+            $match: {
+                owner: new mongoose.Types.ObjectId(userId)
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1
+            }
+        },
+        ...reactionSummaryStages("tweet", req.user?._id)
+    ]);
 
     return res
         .status(200)
@@ -94,7 +109,7 @@ const deleteTweet = asyncHandler(async (req, res) => {
         throw new ApiError(403, "You are not authorized to delete this tweet");
     }
 
-    await Tweet.findByIdAndDelete(tweetId);
+    await deleteTweetCascade(tweet);
 
     return res
         .status(200)
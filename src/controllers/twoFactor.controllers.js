@@ -0,0 +1,136 @@
+import { ApiError } from "../utils/apiError.js"
+import { ApiResponse } from "../utils/apiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { User } from "../models/user.models.js"
+import {
+    startEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor as turnOffTwoFactor
+} from "../utils/twoFactor.js"
+
+/**
+ * Gets the current user's two-factor status
+ * - Includes how many recovery codes are left
+ */
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select("+twoFactorRecoveryCodes");
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            enabled: user.twoFactorEnabled,
+            enabledAt: user.twoFactorEnabledAt ?? null,
+            recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0
+        }, "Two-factor status fetched successfully"));
+});
+
+/**
+ * Starts two-factor enrollment
+ * - Returns a new secret and its otpauth:// URI for the authenticator app
+ * - Nothing changes for login until the first code confirms it
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+    if (req.user.twoFactorEnabled) {
+        throw new ApiError(400, "Two-factor authentication is already enabled");
+    }
+
+    const enrollment = await startEnrollment(req.user);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, enrollment, "Scan the secret with an authenticator app and confirm a code"));
+});
+
+/**
+ * Turns two-factor on with a code from the authenticator app
+ * - Returns the recovery codes; they are only shown this once
+ */
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        throw new ApiError(400, "Code is required");
+    }
+    if (req.user.twoFactorEnabled) {
+        throw new ApiError(400, "Two-factor authentication is already enabled");
+    }
+
+    const recoveryCodes = await confirmEnrollment(req.user._id, code);
+    if (!recoveryCodes) {
+        throw new ApiError(400, "Invalid code, or no enrollment was started");
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { recoveryCodes }, "Two-factor authentication enabled"));
+});
+
+/**
+ * Turns two-factor off
+ * - Requires the password (if the account has one) and a current code
+ *   (or a recovery code)
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+        throw new ApiError(400, "A code or recovery code is required");
+    }
+    if (!req.user.twoFactorEnabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled");
+    }
+
+    const user = await User.findById(req.user._id);
+
+    // Password-less (single sign-on) accounts rely on the code alone
+    if (user.password && !(await user.isPasswordCorrect(password))) {
+        throw new ApiError(400, "Invalid password");
+    }
+
+    const isCodeValid = await verifySecondFactor(user._id, { code, recoveryCode });
+    if (!isCodeValid) {
+        throw new ApiError(400, "Invalid two-factor code");
+    }
+
+    await turnOffTwoFactor(user._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Two-factor authentication disabled"));
+});
+
+/**
+ * Replaces the recovery codes, invalidating the old ones
+ * - Requires a current code from the authenticator app
+ */
+const regenerateTwoFactorRecoveryCodes = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        throw new ApiError(400, "Code is required");
+    }
+    if (!req.user.twoFactorEnabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled");
+    }
+
+    const isCodeValid = await verifySecondFactor(req.user._id, { code });
+    if (!isCodeValid) {
+        throw new ApiError(400, "Invalid two-factor code");
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { recoveryCodes }, "Recovery codes regenerated"));
+});
+
+export {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateTwoFactorRecoveryCodes
+}
@@ -2,46 +2,104 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/apiError.js";
 import { ApiResponse } from "../utils/apiResponse.js";
 import { User } from "../models/user.models.js";
-import { deleteFromCloudinary, uploadOnCloudinary } from "../utils/cloudinary.js";
-import jwt from "jsonwebtoken";
+import { deleteAsset, toAssetRecord, uploadToStorage } from "../utils/storage/index.js";
+import { removeWatchHistoryEntry, resetWatchHistory } from "../utils/viewTracker.js";
+import { deleteUserCascade } from "../utils/cascadeDelete.js";
+import { reachableVideoFilter } from "../utils/videoVisibility.js";
+import { syncVideoOwnerName } from "../utils/videoSearch.js";
+import {
+    createSession,
+    rotateSession,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+} from "../utils/sessions.js";
+import { redeemAccountToken, revokeAccountTokens } from "../utils/accountTokens.js";
+import { sendVerificationEmail, sendPasswordResetEmail } from "../utils/accountEmails.js";
+import { verifySecondFactor, issueLoginChallenge, verifyLoginChallenge } from "../utils/twoFactor.js";
+import { STATE_TTL_SECONDS, createAuthorizationRequest, completeAuthorization } from "../utils/oidc.js";
+import { resolveOidcUser } from "../utils/oidcAccounts.js";
+import {
+    loginThrottleKeys,
+    getLoginRetryDelay,
+    recordLoginFailure,
+    resetLoginFailures
+} from "../utils/loginThrottle/index.js";
+import { ACCOUNT_TOKEN_PURPOSES } from "../constants.js";
 import mongoose from "mongoose";
+import bcrypt from "bcrypt";
+import crypto from "crypto";
 
 /**
- * Generates both access and refresh tokens for user authentication
- * - Access token: Short-lived token for API access
- * - Refresh token: Longer-lived token to get new access tokens
+ * Sends the verification email without failing the request
+ * - The user can ask for another one if it never arrives
  */
-const generateAccessAndRefreshToken = async (userId) => {
+const trySendVerificationEmail = async (user) => {
     try {
-        // Find user by ID
-        const user = await User.findById(userId);
-        
-        if (!user) {
-            throw new ApiError(404, "User not found during token generation");
-        }
-        
-        // Call methods defined in the User model schema
-        // These methods use JWT to sign tokens with user data payload
-        const accessToken = user.generateAccessToken();
-        const refreshToken = user.generateRefreshToken();
-        
-        // Store refresh token in database for validation later
-        // This way we can invalidate refresh tokens if needed
-        user.refreshToken = refreshToken;
-        await user.save({ validateBeforeSave: false }); // Skip validation to avoid required field errors
-        
-        return { accessToken, refreshToken };
+        await sendVerificationEmail(user);
     } catch (error) {
-        console.error("Token generation error:", error);
-        throw new ApiError(500, "Something went wrong while generating access and refresh tokens");
+        console.log("Verification email failed", error);
+    }
+};
+
+/**
+ * Opens a session for the device and sends the login response
+ * - Shared by every way of signing in
+ * - Sets HTTP-only cookies for secure token storage
+ */
+const respondWithNewSession = async (req, res, user) => {
+    // Open a session for this device and issue its tokens
+    const { accessToken, refreshToken } = await createSession(user, req);
+    
+    // Get user data without sensitive fields
+    const loggedInUser = await User.findById(user._id).select("-password");
+    if (!loggedInUser) {
+        throw new ApiError(500, "Could not login user");
+    }
+
+    // Configure secure cookie options
+    // httpOnly: Prevents JavaScript access to cookies (XSS protection)
+    // secure: Only sends cookies over HTTPS in production
+    const options = {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production"
+    };
+
+    // Set cookies and return response with user data
+    return res
+        .status(200)
+        .cookie("accessToken", accessToken, options)  // Set access token cookie
+        .cookie("refreshToken", refreshToken, options)  // Set refresh token cookie
+        .json(new ApiResponse(
+            200, 
+            { user: loggedInUser, accessToken, refreshToken },
+            "User logged in successfully"
+        ));
+};
+
+/**
+ * Finishes the first sign-in step (password or single sign-on)
+ * - With two-factor on, it only earns a challenge for the second step
+ */
+const respondToSignIn = async (req, res, user) => {
+    if (user.twoFactorEnabled) {
+        return res
+            .status(200)
+            .json(new ApiResponse(
+                200,
+                { twoFactorRequired: true, challengeToken: issueLoginChallenge(user) },
+                "Two-factor code required"
+            ));
     }
-}
+
+    return await respondWithNewSession(req, res, user);
+};
 
 /**
  * Registers a new user with complete profile information
  * - Handles file uploads for avatar and cover image
  * - Performs validation and duplicate checks
- * - Manages Cloudinary uploads for media files
+ * - Manages storage uploads for media files
  */
 const registerUser = asyncHandler(async (req, res) => {
     // Extract user data from request body
@@ -76,18 +134,18 @@ const registerUser = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Avatar is required");
     }
 
-    // Upload avatar to Cloudinary cloud service
+    // Upload avatar to the configured storage backend
     // This moves the local temp file to permanent cloud storage
-    const avatar = await uploadOnCloudinary(avatarLocalPath);
+    const avatar = await uploadToStorage(avatarLocalPath);
     if (!avatar) {
-        throw new ApiError(500, "Failed to upload avatar to Cloudinary");
+        throw new ApiError(500, "Failed to upload avatar to storage");
     }
     console.log("Uploaded Avatar", avatar);
 
     // Upload cover image if provided (optional field)
     let coverImage = null;
     if (coverLocalPath) {
-        coverImage = await uploadOnCloudinary(coverLocalPath);
+        coverImage = await uploadToStorage(coverLocalPath);
         console.log("Uploaded cover image", coverImage);
     }
 
@@ -96,8 +154,10 @@ const registerUser = asyncHandler(async (req, res) => {
         // This will also trigger password hashing via pre-save hooks in User model
         const user = await User.create({
             fullname,
-            avatar: avatar.url,           // Store Cloudinary URL
+            avatar: avatar.url,           // Store public URL
+            avatarAsset: toAssetRecord(avatar), // Storage record used for later deletion
             coverImage: coverImage?.url || "", // Use empty string if no cover image
+            coverImageAsset: toAssetRecord(coverImage),
             email, 
             password,                     // Will be hashed by schema pre-save hook
             username: username.toLowerCase() // Store username in lowercase for case-insensitive matching
@@ -106,13 +166,16 @@ const registerUser = asyncHandler(async (req, res) => {
         // Fetch the created user without sensitive fields
         // select("-field1 -field2") excludes specified fields from the result
         const createdUser = await User.findById(user._id).select(
-            "-password -refreshToken"
+            "-password"
         );
     
         if (!createdUser) {
             throw new ApiError(500, "Something went wrong while registering the user");
         }
     
+        // Ask the user to confirm their email before they can publish
+        await trySendVerificationEmail(createdUser);
+    
         // Return success response with created user data
         return res.status(201).json(
             new ApiResponse(200, createdUser, "User registered Successfully")
@@ -121,93 +184,235 @@ const registerUser = asyncHandler(async (req, res) => {
         console.log("User creation failed", error);
 
         // Clean up resources if user creation fails
-        // This prevents orphaned images in Cloudinary
-        if (avatar && avatar.public_id) {
-            await deleteFromCloudinary(avatar.public_id);
-        }
-        if (coverImage && coverImage.public_id) {
-            await deleteFromCloudinary(coverImage.public_id);
-        }
+        // This prevents orphaned images in storage
+        await deleteAsset(toAssetRecord(avatar));
+        await deleteAsset(toAssetRecord(coverImage));
 
         throw new ApiError(500, "Something went wrong while registering the user and images were deleted");
     }
 });
 
+/**
+ * Refuses the attempt while failed sign-ins have it backed off or locked
+ * - Tells the client when to retry with a Retry-After header
+ */
+const assertLoginAllowed = async (res, throttleKeys) => {
+    const retryAfter = await getLoginRetryDelay(throttleKeys);
+
+    if (retryAfter) {
+        res.set("Retry-After", String(Math.ceil(retryAfter / 1000)));
+        throw new ApiError(429, "Too many failed sign-in attempts, try again later");
+    }
+};
+
+// Checked against when there is no password to compare, so failing for an
+// unknown account takes as long as failing for a wrong password
+let decoyPasswordHash;
+const runDecoyPasswordCheck = async (password) => {
+    decoyPasswordHash ??= await bcrypt.hash(crypto.randomBytes(16).toString("hex"), 12);
+    await bcrypt.compare(password, decoyPasswordHash);
+};
+
 /**
  * Authenticates a user and provides JWT tokens for authorization
  * - Verifies credentials against database
- * - Sets HTTP-only cookies for secure token storage
- * - Returns user data and tokens in response
+ * - Throttles failed attempts per account and per IP (backoff, then lockout)
+ * - Answers unknown accounts and wrong passwords with the same error
+ * - Opens a session for this device, other devices stay signed in
+ * - Returns a challenge instead when two-factor authentication is on
  */
 const loginUser = asyncHandler(async (req, res) => {
     const { email, username, password } = req.body;
-    
+    const identifier = email || username;
+
     // Validate login credentials
-    if (!email || !password) {
-        throw new ApiError(400, "Email is required");
+    if (typeof identifier !== "string" || typeof password !== "string" || !identifier.trim() || !password) {
+        throw new ApiError(400, "Email or username and password are required");
     }
 
-    // Find user by email OR username using MongoDB $or operator
-    const user = await User.findOne({
-        $or: [{ username }, { email }]
-    });
-    if (!user) {
-        throw new ApiError(404, "User not found");
-    }
+    // Either field may hold either value; an "@" marks an email address
+    // (both are stored lowercase)
+    const account = identifier.trim().toLowerCase();
+
+    const throttleKeys = loginThrottleKeys({ account, ip: req.ip });
+    await assertLoginAllowed(res, throttleKeys);
+
+    const user = await User.findOne(account.includes("@") ? { email: account } : { username: account });
 
     // Check password using custom method defined in User model
     // This method will compare hashed passwords
-    const isPasswordValid = await user.isPasswordCorrect(password);
+    let isPasswordValid = false;
+    if (user?.password) {
+        isPasswordValid = await user.isPasswordCorrect(password);
+    } else {
+        await runDecoyPasswordCheck(password);
+    }
+
     if (!isPasswordValid) {
-        throw new ApiError(400, "Invalid user credentials");
+        await recordLoginFailure(throttleKeys, {
+            user: user?._id,
+            ip: req.ip,
+            userAgent: req.get("user-agent")
+        });
+        throw new ApiError(401, "Invalid credentials");
     }
 
-    // Generate fresh tokens for this session
-    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id);
-    
-    // Get user data without sensitive fields
-    const loggedInUser = await User.findById(user._id).select("-password -refreshToken");
-    if (!loggedInUser) {
-        throw new ApiError(500, "Could not login user");
+    await resetLoginFailures(throttleKeys);
+
+    return await respondToSignIn(req, res, user);
+});
+
+/**
+ * Completes a login for an account with two-factor authentication
+ * - Exchanges the challenge token from loginUser together with a TOTP code
+ *   (or a recovery code) for the session tokens
+ */
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+        throw new ApiError(400, "Challenge token and a code or recovery code are required");
     }
 
-    // Configure secure cookie options
-    // httpOnly: Prevents JavaScript access to cookies (XSS protection)
-    // secure: Only sends cookies over HTTPS in production
-    const options = {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === "production"
-    };
+    const userId = verifyLoginChallenge(challengeToken);
+    if (!userId) {
+        throw new ApiError(401, "Login challenge is invalid or has expired");
+    }
+
+    // Codes are throttled like passwords, six digits are quick to guess
+    const throttleKeys = loginThrottleKeys({ account: `user:${userId}`, ip: req.ip });
+    await assertLoginAllowed(res, throttleKeys);
+
+    const isCodeValid = await verifySecondFactor(userId, { code, recoveryCode });
+    if (!isCodeValid) {
+        await recordLoginFailure(throttleKeys, {
+            user: userId,
+            ip: req.ip,
+            userAgent: req.get("user-agent")
+        });
+        throw new ApiError(400, "Invalid two-factor code");
+    }
+
+    await resetLoginFailures(throttleKeys);
+
+    const user = await User.findById(userId);
+    if (!user) {
+        throw new ApiError(401, "Login challenge is invalid or has expired");
+    }
+
+    return await respondWithNewSession(req, res, user);
+});
+
+// The OIDC state cookie is only sent to the single sign-on routes
+const oidcStateCookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",  // Must survive the top-level redirect back from the provider
+    path: "/api/v1/users/oidc"
+});
+
+/**
+ * Starts single sign-on with the configured OpenID Connect provider
+ * - Redirects the browser to the provider's login page
+ * - An optional login_hint is passed on to preselect the account
+ */
+const startOidcLogin = asyncHandler(async (req, res) => {
+    const loginHint = typeof req.query.login_hint === "string" ? req.query.login_hint : undefined;
+    const { url, stateToken } = await createAuthorizationRequest({ loginHint });
+
+    return res
+        .cookie("oidcState", stateToken, { ...oidcStateCookieOptions(), maxAge: STATE_TTL_SECONDS * 1000 })
+        .redirect(url);
+});
+
+/**
+ * Starts linking the provider to the signed-in user's account
+ * - Same redirect as startOidcLogin; the callback links instead of signing in
+ */
+const startOidcLink = asyncHandler(async (req, res) => {
+    const { url, stateToken } = await createAuthorizationRequest({ linkUserId: req.user._id });
+
+    return res
+        .cookie("oidcState", stateToken, { ...oidcStateCookieOptions(), maxAge: STATE_TTL_SECONDS * 1000 })
+        .redirect(url);
+});
+
+/**
+ * Handles the provider's redirect back to the API
+ * - Verifies the response and finds, links or creates the user
+ * - Signs in with the usual cookies (or a two-factor challenge)
+ */
+const handleOidcCallback = asyncHandler(async (req, res) => {
+    const { code, state, error, error_description: errorDescription } = req.query;
+
+    // The state cookie is single-use either way
+    res.clearCookie("oidcState", oidcStateCookieOptions());
+
+    if (error) {
+        throw new ApiError(400, `Sign-in was not completed: ${errorDescription || error}`);
+    }
+
+    const identity = await completeAuthorization({ code, state, stateToken: req.cookies.oidcState });
+    const { user, created } = await resolveOidcUser(identity);
+
+    if (identity.linkUserId) {
+        const linkedUser = await User.findById(user._id).select("-password");
+
+        return res
+            .status(200)
+            .json(new ApiResponse(200, linkedUser, "Sign-in provider linked successfully"));
+    }
+
+    // The provider couldn't vouch for the address, so confirm it ourselves
+    if (created && !user.emailVerified) {
+        await trySendVerificationEmail(user);
+    }
+
+    return await respondToSignIn(req, res, user);
+});
+
+/**
+ * Unlinks a sign-in provider from the current user
+ * - A password-less account keeps at least one provider, or it couldn't sign in
+ */
+const unlinkOidcIdentity = asyncHandler(async (req, res) => {
+    const { identityId } = req.params;
+
+    if (!mongoose.isValidObjectId(identityId)) {
+        throw new ApiError(400, "Invalid identity ID");
+    }
+
+    const user = await User.findById(req.user._id);
+    const identity = user?.identities.id(identityId);
+    if (!identity) {
+        throw new ApiError(404, "Linked identity not found");
+    }
+
+    if (!user.password && user.identities.length === 1) {
+        throw new ApiError(400, "Set a password before unlinking your last sign-in provider");
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+        user._id,
+        { $pull: { identities: { _id: identity._id } } },
+        { new: true }
+    ).select("-password");
 
-    // Set cookies and return response with user data
     return res
         .status(200)
-        .cookie("accessToken", accessToken, options)  // Set access token cookie
-        .cookie("refreshToken", refreshToken, options)  // Set refresh token cookie
-        .json(new ApiResponse(
-            200, 
-            { user: loggedInUser, accessToken, refreshToken },
-            "User logged in successfully"
-        ));
+        .json(new ApiResponse(200, updatedUser, "Sign-in provider unlinked successfully"));
 });
 
 /**
- * Logs out a user by clearing tokens
- * - Removes refresh token from database
+ * Logs out the current device
+ * - Revokes its session, so its refresh token stops working
  * - Clears token cookies from browser
  */
 const logoutUser = asyncHandler(async (req, res) => {
-    // Remove refresh token from user document
-    // Using $set with undefined effectively removes the field
-    await User.findByIdAndUpdate(
-        req.user._id,  // Current user ID from auth middleware
-        {
-            $set: {
-                refreshToken: undefined
-            }
-        }, 
-        { new: true }  // Return updated document
-    );
+    // Session id comes from the access token via auth middleware
+    if (req.sessionId) {
+        await revokeSession(req.user._id, req.sessionId, "logout");
+    }
 
     // Set cookie options for clearing
     const options = {
@@ -226,8 +431,8 @@ const logoutUser = asyncHandler(async (req, res) => {
 /**
  * Refreshes access token using a valid refresh token
  * - Critical for maintaining user sessions without frequent logins
- * - Verifies token authenticity and matches against stored token
- * - Issues new token pair on successful verification
+ * - Rotates the refresh token: each one can be used exactly once
+ * - Replaying an already rotated token revokes the device's session
  */
 const refreshAccessToken = asyncHandler(async (req, res) => {
     // Get refresh token from cookies or request body for flexibility
@@ -236,67 +441,45 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
     if (!incomingRefreshToken) {
         throw new ApiError(401, "Refresh token is required");
     }
-    console.log("Incoming refresh token:", incomingRefreshToken);
 
-    try {
-        // Debug JWT secret to help troubleshoot token verification issues
-        console.log("JWT secret:", process.env.REFRESH_TOKEN_SECRET);
-
-        // Ensure environment variable is configured
-        if (!process.env.REFRESH_TOKEN_SECRET) {
-            throw new ApiError(500, "JWT secret is not defined in environment variables");
-        }
-
-        // Verify token signature and decode its payload
-        // This will throw an error if token is invalid or expired
-        const decodedToken = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET);
-        console.log("Decoded token:", decodedToken);
-
-        // Get user from decoded token ID
-        const user = await User.findById(decodedToken?._id);
-        if (!user) {
-            console.error("User not found for ID:", decodedToken?._id);
-            throw new ApiError(401, "Invalid refresh token");
-        }
+    // Ensure environment variable is configured
+    if (!process.env.REFRESH_TOKEN_SECRET) {
+        throw new ApiError(500, "JWT secret is not defined in environment variables");
+    }
 
-        // Extra security: verify token matches what's stored in database
-        // This allows for token revocation by changing stored token
-        if (incomingRefreshToken !== user?.refreshToken) {
-            console.error("Refresh token mismatch. Incoming:", incomingRefreshToken, "Stored:", user?.refreshToken);
-            throw new ApiError(401, "Invalid refresh token");
-        }
+    // Throws 401 for invalid, expired, revoked or reused tokens
+    const { accessToken, refreshToken: newRefreshToken } = await rotateSession(incomingRefreshToken, req);
 
-        // Set cookie options for new tokens
-        const options = {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === "production",
-        };
+    // Set cookie options for new tokens
+    const options = {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+    };
 
-        // Generate fresh token pair
-        const { accessToken, refreshToken: newRefreshToken } = await generateAccessAndRefreshToken(user._id);
-        
-        // Set new cookies and return tokens in response
-        return res
-            .status(200)
-            .cookie("accessToken", accessToken, options)
-            .cookie("refreshToken", newRefreshToken, options)
-            .json(new ApiResponse(200, { accessToken, refreshToken: newRefreshToken }, "Access token refreshed successfully"));
-    } catch (error) {
-        console.error("Error while refreshing access token:", error);
-        throw new ApiError(500, "Something went wrong while refreshing access token");
-    }
+    // Set new cookies and return tokens in response
+    return res
+        .status(200)
+        .cookie("accessToken", accessToken, options)
+        .cookie("refreshToken", newRefreshToken, options)
+        .json(new ApiResponse(200, { accessToken, refreshToken: newRefreshToken }, "Access token refreshed successfully"));
 });
 
 /**
  * Changes the current user's password
  * - Requires old password verification for security
  * - Updates with new hashed password
+ * - Signs out every other device
  */
 const changeCurrentPassword = asyncHandler(async (req, res) => {
     const { oldPassword, newPassword } = req.body;
 
     // Get current user (added by auth middleware)
     const user = await User.findById(req.user?._id);
+
+    // Single sign-on accounts set their first password through the reset email
+    if (!user.password) {
+        throw new ApiError(400, "This account has no password yet, use forgot-password to set one");
+    }
     
     // Verify old password is correct before allowing change
     const isPasswordCorrect = await user.isPasswordCorrect(oldPassword);
@@ -308,11 +491,118 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
     user.password = newPassword;
     await user.save({ validateBeforeSave: false });
 
+    await revokeAllSessions(user._id, { except: req.sessionId, reason: "password-change" });
+
     return res
         .status(200)
         .json(new ApiResponse(200, {}, "Password changed successfully"));
 });
 
+/**
+ * Sends a new verification email to the current user
+ * - Replaces any link sent before
+ */
+const requestEmailVerification = asyncHandler(async (req, res) => {
+    if (req.user.emailVerified) {
+        throw new ApiError(400, "Email is already verified");
+    }
+
+    await sendVerificationEmail(req.user);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Verification email sent"));
+});
+
+/**
+ * Confirms an email address with the token from the verification email
+ * - Tokens work once and only for the address they were sent to
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+        throw new ApiError(400, "Token is required");
+    }
+
+    const record = await redeemAccountToken(token, ACCOUNT_TOKEN_PURPOSES.VERIFY_EMAIL);
+
+    // The address may have changed since the email was sent
+    const user = record && await User.findOneAndUpdate(
+        { _id: record.user, email: record.email },
+        { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+        { new: true }
+    ).select("-password");
+
+    if (!user) {
+        throw new ApiError(400, "Invalid or expired token");
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, "Email verified successfully"));
+});
+
+/**
+ * Starts a password reset by emailing a single-use link
+ * - Answers the same whether or not the email belongs to an account,
+ *   so the endpoint can't be used to find out who is registered
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    if (!email?.trim()) {
+        throw new ApiError(400, "Email is required");
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (user) {
+        try {
+            await sendPasswordResetEmail(user);
+        } catch (error) {
+            console.log("Password reset email failed", error);
+        }
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "If an account uses this email, a reset link has been sent to it"));
+});
+
+/**
+ * Sets a new password with the token from the reset email
+ * - Signs out every device, the password may have been compromised
+ * - Following the link proves access to the inbox, so the email counts as verified
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+        throw new ApiError(400, "Token and new password are required");
+    }
+
+    const record = await redeemAccountToken(token, ACCOUNT_TOKEN_PURPOSES.RESET_PASSWORD);
+    const user = record && await User.findById(record.user);
+
+    if (!user || user.email !== record.email) {
+        throw new ApiError(400, "Invalid or expired token");
+    }
+
+    // Set new password - will be hashed by pre-save hook
+    user.password = newPassword;
+    if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+    }
+    await user.save({ validateBeforeSave: false });
+
+    await revokeAllSessions(user._id, { reason: "password-change" });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Password reset successfully, sign in with the new password"));
+});
+
 /**
  * Gets the current authenticated user's profile data
  * - User is already attached to req object by auth middleware
@@ -341,6 +631,9 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
         throw new ApiError(400, "All fields are required");
     }
 
+    // A new address has to be verified again
+    const emailChanged = email.trim().toLowerCase() !== req.user?.email;
+
     // Update user with $set operator
     // $set updates only specified fields, leaving others unchanged
     const user = await User.findByIdAndUpdate(
@@ -348,11 +641,22 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
         {
             $set: {
                 fullname,
-                email: email
+                fullnameTokens: User.fullnameTokens(fullname),
+                email: email,
+                ...(emailChanged ? { emailVerified: false, emailVerifiedAt: null } : {})
             }
         },
         { new: true }  // Return updated document instead of original
-    ).select("-password -refreshToken");  // Exclude sensitive fields
+    ).select("-password");  // Exclude sensitive fields
+
+    // Videos keep a copy of the owner's name for text search
+    await syncVideoOwnerName(user);
+
+    if (emailChanged) {
+        // Links sent to the old address must stop working
+        await revokeAccountTokens(user._id);
+        await trySendVerificationEmail(user);
+    }
 
     return res
         .status(200)
@@ -361,9 +665,9 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
 
 /**
  * Updates user's avatar image with proper resource management
- * - Deletes previous avatar from Cloudinary
  * - Uploads and stores new avatar
- * - Updates user document with new image URL
+ * - Updates user document with new image URL and asset record
+ * - Deletes previous avatar from storage using its stored asset record
  */
 const updateUserAvatar = asyncHandler(async (req, res) => {
     // Get file path from multer middleware (single file)
@@ -373,42 +677,37 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Avatar file is missing");
     }
 
-    // Get user's current avatar
-    const user = await User.findById(req.user?._id).select("avatar");
+    // Get user's current avatar record
+    const user = await User.findById(req.user?._id).select("avatarAsset");
     if (!user) {
         throw new ApiError(404, "User not found");
     }
 
-    // Extract Cloudinary public ID from current avatar URL
-    // This is needed to delete the old image from cloud storage
-    // Format: Extract "abc123" from "https://cloudinary.com/path/abc123.jpg"
-    const currentAvatarPublicId = user.avatar
-        ? user.avatar.split('/').pop().split('.')[0]  // Split by '/' and take last segment, then split by '.' and take first part
-        : null;
-
-    // Delete old avatar from Cloudinary if it exists
-    if (currentAvatarPublicId) {
-        await deleteFromCloudinary(currentAvatarPublicId);
-        console.log(`Delete old avatar with public ID ${currentAvatarPublicId}`);
-    }
-
-    // Upload new avatar to Cloudinary
-    const avatar = await uploadOnCloudinary(avatarLocalPath);
+    // Upload new avatar to storage before touching the old one,
+    // so a failed upload never leaves the user without an avatar
+    const avatar = await uploadToStorage(avatarLocalPath);
 
     if (!avatar || !avatar.url) {
         throw new ApiError(400, "Error while uploading avatar");
     }
 
-    // Update user record with new avatar URL
+    // Update user record with new avatar URL and asset record
     const updatedUser = await User.findByIdAndUpdate(
         req.user?._id,
         {
             $set: {
-                avatar: avatar.url
+                avatar: avatar.url,
+                avatarAsset: toAssetRecord(avatar)
             }
         },
         { new: true }
-    ).select("-password -refreshToken");
+    ).select("-password");
+
+    // Delete old avatar from storage if it exists
+    if (user.avatarAsset) {
+        await deleteAsset(user.avatarAsset);
+        console.log(`Deleted old avatar with public ID ${user.avatarAsset.public_id}`);
+    }
 
     return res.status(200).json(
         new ApiResponse(200, updatedUser, "Avatar image updated successfully")
@@ -426,40 +725,36 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Cover image file is missing");
     }
 
-    // Get user and current cover image
-    const user = await User.findById(req.user?._id).select("coverImage");
+    // Get user and current cover image record
+    const user = await User.findById(req.user?._id).select("coverImageAsset");
     if (!user) {
         throw new ApiError(404, "User not found");
     }
 
-    // Extract public ID from current cover image URL
-    const currentCoverPublicId = user.coverImage
-        ? user.coverImage.split('/').pop().split('.')[0]
-        : null;
-
-    // Delete old cover image from Cloudinary
-    if (currentCoverPublicId) {
-        await deleteFromCloudinary(currentCoverPublicId);
-        console.log(`Deleted old cover image with public ID ${currentCoverPublicId}`);
-    }
-
     // Upload new cover image
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+    const coverImage = await uploadToStorage(coverImageLocalPath);
 
     if (!coverImage?.url) {
         throw new ApiError(400, "Error while uploading cover image");
     }
 
-    // Update user record with new cover image URL
+    // Update user record with new cover image URL and asset record
     const updatedUser = await User.findByIdAndUpdate(
         req.user?._id,
         {
             $set: {
-                coverImage: coverImage.url
+                coverImage: coverImage.url,
+                coverImageAsset: toAssetRecord(coverImage)
             }
         },
         { new: true }
-    ).select("-password -refreshToken");
+    ).select("-password");
+
+    // Delete old cover image from storage
+    if (user.coverImageAsset) {
+        await deleteAsset(user.coverImageAsset);
+        console.log(`Deleted old cover image with public ID ${user.coverImageAsset.public_id}`);
+    }
 
     return res.status(200).json(
         new ApiResponse(200, updatedUser, "Cover image updated successfully")
@@ -488,47 +783,32 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
                 username: username?.toLowerCase()
             }
         },
-        // Stage 2: Join with subscriptions collection to get subscribers
+        // Stage 2: Look up only the current user's subscription to this channel
+        // subscribersCount and channelsSubscribedToCount are counters stored on the user,
+        // so the channel's full subscriber list is never joined
         // $lookup is like a LEFT JOIN in SQL
         {
             $lookup: {
                 from: "subscriptions",      // Target collection
                 localField: "_id",          // Field from users collection
                 foreignField: "channel",    // Field from subscriptions collection
-                as: "subscribers"           // Array field to store matched documents
-            }
-        },
-        // Stage 3: Join with subscriptions to get channels this user subscribes to
-        {
-            $lookup: {
-                from: "subscriptions",
-                localField: "_id",
-                foreignField: "subscriber", // Now matching on subscriber field
-                as: "subscribedTo"
+                as: "viewerSubscription",   // Array field to store matched documents
+                pipeline: [
+                    { $match: { subscriber: req.user?._id } },
+                    { $limit: 1 }
+                ]
             }
         },
-        // Stage 4: Add computed fields to the result
+        // Stage 3: Add computed fields to the result
         {
             $addFields: {
-                // Count total subscribers
-                subscribersCount: {
-                    $size: "$subscribers"   // Count array elements
-                },
-                // Count channels user has subscribed to
-                channelsSubscribedToCount: {
-                    $size: "$subscribedTo"
-                },
                 // Check if current user is subscribed to this channel
                 isSubscribed: {
-                    $cond: {
-                        if: { $in: [req.user?._id, "$subscribers.subscriber"] }, // Check if user ID exists in subscribers
-                        then: true,
-                        else: false
-                    }
+                    $gt: [{ $size: "$viewerSubscription" }, 0]
                 }
             }
         },
-        // Stage 5: Select only fields we want to return
+        // Stage 4: Select only fields we want to return
         {
             $project: {
                 fullName: 1,                // 1 means include this field
@@ -577,9 +857,13 @@ const getWatchHistory = asyncHandler(async (req, res) => {
                 from: "videos",                 // Target collection
                 localField: "watchHistory",     // Array field in user document
                 foreignField: "_id",            // Field in videos collection
-                as: "watchHistory",             // Replace watchHistory IDs with full objects
+                as: "watchedVideos",            // Full video objects (in arbitrary order)
                 pipeline: [
                     // Nested pipeline to process each video document
+                    // Stage 2.0: Skip videos that have since been made private
+                    {
+                        $match: reachableVideoFilter(req.user._id)
+                    },
                     // Stage 2.1: For each video, lookup its owner
                     {
                         $lookup: {
@@ -610,6 +894,31 @@ const getWatchHistory = asyncHandler(async (req, res) => {
                     }
                 ]
             }
+        },
+        // Stage 3: Restore most-recent-first order from the watchHistory IDs
+        // $lookup does not preserve array order, and deleted videos are dropped
+        {
+            $project: {
+                watchHistory: {
+                    $filter: {
+                        input: {
+                            $map: {
+                                input: "$watchHistory",
+                                as: "videoId",
+                                in: {
+                                    $first: {
+                                        $filter: {
+                                            input: "$watchedVideos",
+                                            cond: { $eq: ["$$this._id", "$$videoId"] }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        cond: { $ne: [{ $type: "$$this" }, "missing"] }
+                    }
+                }
+            }
         }
     ]);
 
@@ -625,16 +934,164 @@ const getWatchHistory = asyncHandler(async (req, res) => {
         );
 });
 
+/**
+ * Removes a single video from the current user's watch history
+ */
+const removeFromWatchHistory = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    if (!mongoose.isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId");
+    }
+
+    await removeWatchHistoryEntry(req.user._id, videoId);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Video removed from watch history"));
+});
+
+/**
+ * Clears the current user's entire watch history
+ */
+const clearWatchHistory = asyncHandler(async (req, res) => {
+    await resetWatchHistory(req.user._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Watch history cleared successfully"));
+});
+
+/**
+ * Permanently deletes the current user's account
+ * - Requires the current password as confirmation, or the username for
+ *   password-less (single sign-on) accounts
+ * - Removes the user's videos, comments, tweets, likes, playlists and subscriptions
+ * - Clears token cookies, ending the session
+ */
+const deleteAccount = asyncHandler(async (req, res) => {
+    const { password, username } = req.body;
+
+    const user = await User.findById(req.user?._id);
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    if (user.password) {
+        if (!password) {
+            throw new ApiError(400, "Password is required to delete the account");
+        }
+
+        const isPasswordCorrect = await user.isPasswordCorrect(password);
+        if (!isPasswordCorrect) {
+            throw new ApiError(400, "Invalid password");
+        }
+    } else if (username?.trim().toLowerCase() !== user.username) {
+        throw new ApiError(400, "Type your username to confirm deleting the account");
+    }
+
+    await deleteUserCascade(user);
+
+    const options = {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production"
+    };
+
+    return res
+        .status(200)
+        .clearCookie("accessToken", options)
+        .clearCookie("refreshToken", options)
+        .json(new ApiResponse(200, {}, "Account deleted successfully"));
+});
+
+/**
+ * Lists the devices the current user is signed in on
+ * - The session making the request is flagged with isCurrent
+ */
+const getSessions = asyncHandler(async (req, res) => {
+    const sessions = await listSessions(req.user._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            sessions.map((session) => ({
+                ...session,
+                isCurrent: session._id.toString() === req.sessionId
+            })),
+            "Sessions fetched successfully"
+        ));
+});
+
+/**
+ * Signs out one device
+ * - Revoking the current session also clears its cookies
+ */
+const revokeUserSession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+
+    const revoked = await revokeSession(req.user._id, sessionId);
+    if (!revoked) {
+        throw new ApiError(404, "Session not found");
+    }
+
+    const options = {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production"
+    };
+
+    if (sessionId === req.sessionId) {
+        res.clearCookie("accessToken", options).clearCookie("refreshToken", options);
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Session revoked successfully"));
+});
+
+/**
+ * Signs out every device, including the current one
+ */
+const revokeAllUserSessions = asyncHandler(async (req, res) => {
+    const revokedCount = await revokeAllSessions(req.user._id);
+
+    const options = {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production"
+    };
+
+    return res
+        .status(200)
+        .clearCookie("accessToken", options)
+        .clearCookie("refreshToken", options)
+        .json(new ApiResponse(200, { revokedCount }, "All sessions revoked successfully"));
+});
+
 export {
     registerUser,
     loginUser,
+    verifyTwoFactorLogin,
+    startOidcLogin,
+    startOidcLink,
+    handleOidcCallback,
+    unlinkOidcIdentity,
     logoutUser,
     refreshAccessToken,
     changeCurrentPassword,
+    requestEmailVerification,
+    verifyEmail,
+    forgotPassword,
+    resetPassword,
     getCurrentUser,
     updateAccountDetails,
     updateUserAvatar,
     updateUserCoverImage,
     getUserChannelProfile,
-    getWatchHistory
+    getWatchHistory,
+    removeFromWatchHistory,
+    clearWatchHistory,
+    deleteAccount,
+    getSessions,
+    revokeUserSession,
+    revokeAllUserSessions
 };
\ No newline at end of file
@@ -1,49 +1,67 @@
-import mongoose, {isValidObjectId} from "mongoose"
+import {isValidObjectId} from "mongoose"
 import {Video} from "../models/video.models.js"
 import {User} from "../models/user.models.js"
 import {ApiError} from "../utils/ApiError.js"
 import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
-import {uploadOnCloudinary, deleteFromCloudinary} from "../utils/cloudinary.js"
+import {uploadToStorage, deleteAsset, toAssetRecord} from "../utils/storage/index.js"
+import {recordView} from "../utils/viewTracker.js"
+import {deleteVideoCascade} from "../utils/cascadeDelete.js"
+import {findViewableVideo, listedVideoFilter, markPublished} from "../utils/videoVisibility.js"
+import {buildVideoSearchPipeline, highlightMatches, videoOwnerName} from "../utils/videoSearch.js"
+import {schedulePublish, cancelScheduledPublish} from "../utils/publishScheduler.js"
+import {getReactionSummary} from "../utils/reactions.js"
+import {recordChannelEvent} from "../utils/channelAnalytics.js"
+import {getRecommendations} from "../utils/recommendations.js"
+import {getTrendingSnapshot} from "../utils/trending.js"
+import {VIDEO_VISIBILITY, TRENDING_WINDOWS} from "../constants.js"
+
+const VISIBILITY_VALUES = Object.values(VIDEO_VISIBILITY);
+
+const MAX_RECOMMENDATIONS = 50;
+const MAX_TRENDING_LIMIT = 50;
+
+// Parses a publishAt value from the request body
+// Returns undefined when absent, null when cleared ("" or "null"), a Date otherwise
+const parsePublishAt = (value) => {
+    if (value === undefined) return undefined;
+    if (value === null || value === "" || value === "null") return null;
+
+    // Accept ISO strings as well as epoch milliseconds
+    const date = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ApiError(400, "publishAt must be a valid date");
+    }
+    if (date.getTime() <= Date.now()) {
+        throw new ApiError(400, "publishAt must be in the future");
+    }
+    return date;
+};
 
 const getAllVideos = asyncHandler(async (req, res) => {
     const { page = 1, limit = 10, query, sortBy, sortType, userId } = req.query;
 
-    const pipeline = [];
-
-    // Match videos by user if userId is provided
-    if (userId) {
-        if (!isValidObjectId(userId)) {
-            throw new ApiError(400, "Invalid userId");
-        }
-        pipeline.push({
-            $match: {
-                owner: new mongoose.Types.ObjectId(userId)
-            }
-        });
-    }
-
-    // Match videos based on search query
-    if (query) {
-        pipeline.push({
-            $match: {
-                $or: [
-                    { title: { $regex: query, $options: "i" } },
-                    { description: { $regex: query, $options: "i" } }
-                ]
-            }
-        });
-    }
-
-    // Sort videos
-    const sortOptions = {};
-    if (sortBy && sortType) {
-        sortOptions[sortBy] = sortType === "desc" ? -1 : 1;
-        pipeline.push({ $sort: sortOptions });
-    } else {
-        // Default sort by createdAt descending
-        pipeline.push({ $sort: { createdAt: -1 } });
-    }
+    const {
+        channelId = userId,
+        minDuration,
+        maxDuration,
+        uploadedAfter,
+        uploadedBefore
+    } = req.query;
+
+    // Only public videos are listed, plus the viewer's own unlisted/private ones
+    // With a query, results are ranked by text relevance unless sortBy is given
+    const pipeline = buildVideoSearchPipeline({
+        query,
+        viewerId: req.user?._id,
+        channelId,
+        minDuration,
+        maxDuration,
+        uploadedAfter,
+        uploadedBefore,
+        sortBy,
+        sortType
+    });
 
     // Add pagination
     const aggregate = Video.aggregate(pipeline);
@@ -54,18 +72,34 @@ const getAllVideos = asyncHandler(async (req, res) => {
 
     const videos = await Video.aggregatePaginate(aggregate, options);
 
+    if (query?.trim()) {
+        videos.docs = videos.docs.map((video) => ({
+            ...video,
+            highlights: highlightMatches(video, query)
+        }));
+    }
+
     return res
         .status(200)
         .json(new ApiResponse(200, videos, "Videos fetched successfully"));
 });
 
 const publishAVideo = asyncHandler(async (req, res) => {
-    const { title, description } = req.body;
+    const { title, description, visibility = VIDEO_VISIBILITY.PUBLIC } = req.body;
+    const publishAt = parsePublishAt(req.body.publishAt);
 
     if (!title || !description) {
         throw new ApiError(400, "Title and description are required");
     }
 
+    if (!VISIBILITY_VALUES.includes(visibility)) {
+        throw new ApiError(400, `Visibility must be one of: ${VISIBILITY_VALUES.join(", ")}`);
+    }
+
+    if (publishAt && visibility === VIDEO_VISIBILITY.PRIVATE) {
+        throw new ApiError(400, "A scheduled video must go live as public or unlisted");
+    }
+
     const videoFileLocalPath = req.files?.videoFile?.[0]?.path;
     const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path;
 
@@ -77,15 +111,15 @@ const publishAVideo = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Thumbnail is required");
     }
 
-    const videoFile = await uploadOnCloudinary(videoFileLocalPath);
-    const thumbnail = await uploadOnCloudinary(thumbnailLocalPath);
+    const videoFile = await uploadToStorage(videoFileLocalPath);
+    const thumbnail = await uploadToStorage(thumbnailLocalPath);
 
     if (!videoFile) {
-        throw new ApiError(500, "Failed to upload video to Cloudinary");
+        throw new ApiError(500, "Failed to upload video to storage");
     }
 
     if (!thumbnail) {
-        throw new ApiError(500, "Failed to upload thumbnail to Cloudinary");
+        throw new ApiError(500, "Failed to upload thumbnail to storage");
     }
 
     const video = await Video.create({
@@ -93,36 +127,52 @@ const publishAVideo = asyncHandler(async (req, res) => {
         description,
         videoFile: videoFile.url,
         thumbnail: thumbnail.url,
+        videoFileAsset: toAssetRecord(videoFile),
+        thumbnailAsset: toAssetRecord(thumbnail),
         duration: videoFile.duration,
+        // Scheduled videos stay private until publishAt
+        visibility: publishAt ? VIDEO_VISIBILITY.PRIVATE : visibility,
+        ownerName: videoOwnerName(req.user),
+        publishAt: publishAt || undefined,
+        scheduledVisibility: publishAt ? visibility : undefined,
+        publishedAt: !publishAt && visibility === VIDEO_VISIBILITY.PUBLIC ? new Date() : undefined,
         owner: req.user?._id
     });
 
+    if (publishAt) {
+        schedulePublish(video);
+    }
+
     return res
         .status(201)
-        .json(new ApiResponse(201, video, "Video published successfully"));
+        .json(new ApiResponse(201, video, publishAt ? "Video scheduled successfully" : "Video published successfully"));
 });
 
 const getVideoById = asyncHandler(async (req, res) => {
     const { videoId } = req.params;
 
-    if (!isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid videoId");
-    }
-
-    const video = await Video.findById(videoId);
+    // Private videos are only reachable by their owner
+    const video = await findViewableVideo(videoId, req.user?._id);
 
-    if (!video) {
-        throw new ApiError(404, "Video not found");
+    // Count the view (at most once per viewer per window) and update watch history
+    const counted = await recordView(video._id, req.user?._id);
+    if (counted) {
+        video.views += 1;
+        await recordChannelEvent({ type: "view", channel: video.owner, video: video._id, actor: req.user?._id });
     }
 
+    // Counts per reaction type and the viewer's own reaction
+    const reactionSummary = await getReactionSummary("video", video._id, req.user?._id);
+
     return res
         .status(200)
-        .json(new ApiResponse(200, video, "Video fetched successfully"));
+        .json(new ApiResponse(200, { ...video.toObject(), ...reactionSummary }, "Video fetched successfully"));
 });
 
 const updateVideo = asyncHandler(async (req, res) => {
     const { videoId } = req.params;
     const { title, description } = req.body;
+    const publishAt = parsePublishAt(req.body.publishAt);
     const thumbnailLocalPath = req.file?.path;
 
     if (!isValidObjectId(videoId)) {
@@ -139,30 +189,53 @@ const updateVideo = asyncHandler(async (req, res) => {
         throw new ApiError(403, "You are not authorized to update this video");
     }
 
+    // Scheduling publishes the video later, so it needs the same verified
+    // email as publishing now (see requireVerifiedEmail); cancelling doesn't
+    if (publishAt && !req.user.emailVerified) {
+        throw new ApiError(403, "Verify your email address before publishing");
+    }
+
     let thumbnail = video.thumbnail;
+    let thumbnailAsset = video.thumbnailAsset;
     if (thumbnailLocalPath) {
-        const oldThumbnail = video.thumbnail;
-        const newThumbnail = await uploadOnCloudinary(thumbnailLocalPath);
+        const newThumbnail = await uploadToStorage(thumbnailLocalPath);
         if (newThumbnail) {
             thumbnail = newThumbnail.url;
-            if (oldThumbnail) {
-                const publicId = oldThumbnail.split('/').pop().split('.')[0];
-                await deleteFromCloudinary(publicId);
-            }
+            thumbnailAsset = toAssetRecord(newThumbnail);
         }
     }
 
-    const updatedVideo = await Video.findByIdAndUpdate(
-        videoId,
-        {
-            $set: {
-                title,
-                description,
-                thumbnail
-            }
-        },
-        { new: true }
-    );
+    const update = {
+        $set: {
+            title,
+            description,
+            thumbnail,
+            thumbnailAsset
+        }
+    };
+
+    if (publishAt) {
+        // (Re)scheduling hides the video until publishAt. It then goes live with
+        // its pending scheduled visibility, or its current one if not private.
+        update.$set.publishAt = publishAt;
+        update.$set.scheduledVisibility = video.scheduledVisibility ||
+            (video.visibility === VIDEO_VISIBILITY.PRIVATE ? VIDEO_VISIBILITY.PUBLIC : video.visibility);
+        update.$set.visibility = VIDEO_VISIBILITY.PRIVATE;
+    } else if (publishAt === null) {
+        // Cancelling a schedule leaves the video private
+        update.$unset = { publishAt: "", scheduledVisibility: "" };
+    }
+
+    const updatedVideo = await Video.findByIdAndUpdate(videoId, update, { new: true });
+
+    if (publishAt !== undefined) {
+        schedulePublish(updatedVideo);
+    }
+
+    // Remove the replaced thumbnail only once the new one is saved
+    if (thumbnailAsset !== video.thumbnailAsset) {
+        await deleteAsset(video.thumbnailAsset);
+    }
 
     return res
         .status(200)
@@ -186,13 +259,10 @@ const deleteVideo = asyncHandler(async (req, res) => {
         throw new ApiError(403, "You are not authorized to delete this video");
     }
 
-    const videoPublicId = video.videoFile.split('/').pop().split('.')[0];
-    const thumbnailPublicId = video.thumbnail.split('/').pop().split('.')[0];
-
-    await deleteFromCloudinary(videoPublicId, { resource_type: 'video' });
-    await deleteFromCloudinary(thumbnailPublicId);
-
-    await Video.findByIdAndDelete(videoId);
+    // Removes comments, likes, playlist and watch history entries, then
+    // the stored files (asset records carry the right resource type)
+    await deleteVideoCascade(video);
+    cancelScheduledPublish(video._id);
 
     return res
         .status(200)
@@ -216,19 +286,138 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
         throw new ApiError(403, "You are not authorized to toggle publish status for this video");
     }
 
-    video.isPublished = !video.isPublished;
+    // Published (public or unlisted) videos become private, private ones public
+    // Toggling by hand replaces any pending schedule
+    video.visibility = video.visibility === VIDEO_VISIBILITY.PRIVATE
+        ? VIDEO_VISIBILITY.PUBLIC
+        : VIDEO_VISIBILITY.PRIVATE;
+    video.publishAt = undefined;
+    video.scheduledVisibility = undefined;
+    markPublished(video);
     await video.save();
+    cancelScheduledPublish(video._id);
 
     return res
         .status(200)
         .json(new ApiResponse(200, video, "Publish status toggled successfully"));
 });
 
+const updateVideoVisibility = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+    const { visibility } = req.body;
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId");
+    }
+
+    if (!VISIBILITY_VALUES.includes(visibility)) {
+        throw new ApiError(400, `Visibility must be one of: ${VISIBILITY_VALUES.join(", ")}`);
+    }
+
+    const video = await Video.findById(videoId);
+
+    if (!video) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    if (video.owner.toString() !== req.user._id.toString()) {
+        throw new ApiError(403, "You are not authorized to change visibility of this video");
+    }
+
+    // Setting visibility by hand replaces any pending schedule
+    video.visibility = visibility;
+    video.publishAt = undefined;
+    video.scheduledVisibility = undefined;
+    markPublished(video);
+    await video.save();
+    cancelScheduledPublish(video._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, video, "Video visibility updated successfully"));
+});
+
+const getVideoRecommendations = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+    const limit = parseInt(req.query.limit ?? 10, 10);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RECOMMENDATIONS) {
+        throw new ApiError(400, `limit must be between 1 and ${MAX_RECOMMENDATIONS}`);
+    }
+
+    const video = await findViewableVideo(videoId, req.user?._id);
+
+    // Public videos only, skipping everything in the viewer's watch history
+    const recommendations = await getRecommendations(video, {
+        watchedVideoIds: req.user?.watchHistory || [],
+        limit
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, recommendations, "Recommendations fetched successfully"));
+});
+
+// Serves the precomputed trending ranking of a window (see utils/trending.js)
+const getTrendingVideos = asyncHandler(async (req, res) => {
+    const { window = "24h", page = 1, limit = 20 } = req.query;
+    const pageNumber = parseInt(page, 10);
+    const pageSize = parseInt(limit, 10);
+
+    if (!TRENDING_WINDOWS[window]) {
+        throw new ApiError(400, `window must be one of: ${Object.keys(TRENDING_WINDOWS).join(", ")}`);
+    }
+
+    if (!(pageNumber >= 1) || !(pageSize >= 1 && pageSize <= MAX_TRENDING_LIMIT)) {
+        throw new ApiError(400, `page must be at least 1 and limit between 1 and ${MAX_TRENDING_LIMIT}`);
+    }
+
+    const snapshot = await getTrendingSnapshot(window);
+    const entries = snapshot?.entries || [];
+    const pageEntries = entries.slice((pageNumber - 1) * pageSize, pageNumber * pageSize);
+
+    // Re-check visibility: a video may have been made private since the snapshot
+    const videos = await Video.find({
+        _id: { $in: pageEntries.map((entry) => entry.video) },
+        ...listedVideoFilter()
+    })
+        .select("title description thumbnail duration views likesCount commentsCount owner ownerName createdAt")
+        .lean();
+    const videosById = new Map(videos.map((video) => [video._id.toString(), video]));
+
+    const docs = pageEntries
+        .filter((entry) => videosById.has(entry.video.toString()))
+        .map((entry) => ({
+            ...videosById.get(entry.video.toString()),
+            trending: {
+                score: entry.score,
+                views: entry.views,
+                likes: entry.likes,
+                comments: entry.comments
+            }
+        }));
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            window,
+            computedAt: snapshot?.computedAt || null,
+            docs,
+            totalDocs: entries.length,
+            page: pageNumber,
+            limit: pageSize,
+            hasNextPage: pageNumber * pageSize < entries.length
+        }, "Trending videos fetched successfully"));
+});
+
 export {
     getAllVideos,
     publishAVideo,
     getVideoById,
     updateVideo,
     deleteVideo,
-    togglePublishStatus
+    togglePublishStatus,
+    updateVideoVisibility,
+    getVideoRecommendations,
+    getTrendingVideos
 };
\ No newline at end of file
@@ -10,6 +10,10 @@
 import dotenv from "dotenv";
 import { app } from "./app.js";
 import connectDB from "./db/index.db.js";
+import { startPublishScheduler } from "./utils/publishScheduler.js";
+import { startCounterReconciler } from "./utils/counterReconciler.js";
+import { startTrendingRefresher } from "./utils/trending.js";
+import { assertMailerConfigured } from "./utils/mailer/index.js";
 
 // Load environment variables from .env file
 // This must be done early to ensure all parts of the app have access to configuration
@@ -27,8 +31,16 @@ const PORT = process.env.PORT || 8001;
 // 1. First establish database connection
 // 2. Only start the HTTP server if the database connects successfully
 // 3. Log errors if database connection fails
+// Scheduled publishing is restored from the database before serving requests,
+// and the periodic counter reconciliation and trending refresh are armed
+
+// Fails fast on a missing mail transport in production
+assertMailerConfigured();
 
 connectDB()
+    .then(() => startPublishScheduler())
+    .then(() => startCounterReconciler())
+    .then(() => startTrendingRefresher())
     .then(() => {
         // Database connected successfully, now start the HTTP server
         app.listen(PORT, () => {
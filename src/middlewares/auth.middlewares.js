@@ -3,6 +3,7 @@ import jwt from "jsonwebtoken"
 import { User } from "../models/user.models.js"
 import { ApiError } from "../utils/apiError.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
+import { isSessionActive } from "../utils/sessions.js"
 
 /**
  * JWT Verification Middleware
@@ -23,25 +24,27 @@ const verifyJWT = asyncHandler(async (req, _, next) => {
     }
 
     try {
-        console.log("Token found:", token);
-
         // Verify the token using the secret key stored in environment variables
         // This validates the token's signature and expiration
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-        console.log("Decoded Token:", decodedToken);
 
         // Use the user ID from the decoded token to find the user in database
-        // Select all fields except password and refreshToken for security
-        const user = await User.findById(decodedToken?._id).select("-password -refreshToken");
-        console.log("User found:", user);
+        // Select all fields except password for security
+        const user = await User.findById(decodedToken?._id).select("-password");
 
         // If user doesn't exist in database despite having a valid token
         if (!user) { 
             throw new ApiError(401, "User not found");
         }
 
-        // Attach the user object to the request for use in subsequent middleware or controllers
+        // The device's session must still be open (not logged out or revoked)
+        if (!(await isSessionActive(decodedToken.sid, user._id))) {
+            throw new ApiError(401, "Session has been revoked");
+        }
+
+        // Attach the user object and session id to the request for use in subsequent middleware or controllers
         req.user = user;
+        req.sessionId = decodedToken.sid;
 
         // Proceed to the next middleware or route handler
         next();
@@ -51,4 +54,17 @@ const verifyJWT = asyncHandler(async (req, _, next) => {
     }
 })
 
-export { verifyJWT }
\ No newline at end of file
+/**
+ * Verified Email Middleware
+ * 
+ * Lets only users who confirmed their email address through. Must run after
+ * verifyJWT; guards publishing routes so unverified accounts can't post.
+ */
+const requireVerifiedEmail = asyncHandler(async (req, _, next) => {
+    if (!req.user?.emailVerified) {
+        throw new ApiError(403, "Verify your email address before publishing");
+    }
+    next();
+})
+
+export { verifyJWT, requireVerifiedEmail }
\ No newline at end of file
@@ -0,0 +1,40 @@
+import mongoose, { Schema } from "mongoose";
+import { ACCOUNT_TOKEN_PURPOSES } from "../constants.js";
+
+/**
+ * Account Token Schema
+ *
+ * Single-use tokens sent by email to verify an address or reset a password.
+ * Only the SHA-256 hash of a token is stored; using it deletes the document,
+ * and the TTL index removes tokens that were never used.
+ */
+const accountTokenSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: Object.values(ACCOUNT_TOKEN_PURPOSES),
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    email: {
+        type: String,     // Address the token was sent to
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {timestamps: true})
+
+accountTokenSchema.index({ user: 1, purpose: 1 })
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const AccountToken = mongoose.model("AccountToken", accountTokenSchema)
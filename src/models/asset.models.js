@@ -0,0 +1,32 @@
+import { Schema } from "mongoose";
+
+/**
+ * Asset Schema
+ *
+ * Embedded record describing a file held by a storage backend. Documents keep
+ * the public URL in their own field and this record alongside it, so deletes
+ * use the exact public id and resource type instead of parsing the URL.
+ */
+export const assetSchema = new Schema(
+    {
+        public_id: {
+            type: String,
+            required: true
+        },
+        resource_type: {
+            type: String,     // "image", "video" or "raw"
+            default: "image"
+        },
+        format: {
+            type: String      // File extension reported by the backend
+        },
+        bytes: {
+            type: Number
+        },
+        provider: {
+            type: String,     // Storage driver that holds the file
+            default: "cloudinary"
+        }
+    },
+    { _id: false }
+)
@@ -0,0 +1,40 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+/**
+ * Channel Daily Stat Schema
+ *
+ * Rollup of channel events: one document per channel, video and UTC day,
+ * incremented as events are recorded. Subscription changes are not tied to
+ * a video and are stored with video set to null. Weekly and monthly series
+ * are summed from these at query time.
+ */
+const channelDailyStatSchema = new Schema({
+    channel: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        default: null
+    },
+    day: {
+        type: Date,                    // UTC midnight
+        required: true
+    },
+    views: { type: Number, default: 0 },
+    likes: { type: Number, default: 0 },
+    unlikes: { type: Number, default: 0 },
+    comments: { type: Number, default: 0 },
+    subscribers: { type: Number, default: 0 },
+    unsubscribers: { type: Number, default: 0 }
+})
+
+channelDailyStatSchema.index({ channel: 1, day: 1, video: 1 }, { unique: true })
+channelDailyStatSchema.index({ video: 1, day: 1 })
+
+channelDailyStatSchema.plugin(mongooseAggregatePaginate)
+
+export const ChannelDailyStat = mongoose.model("ChannelDailyStat", channelDailyStatSchema)
@@ -0,0 +1,45 @@
+import mongoose, { Schema } from "mongoose";
+import { CHANNEL_EVENT_FIELDS, ANALYTICS_EVENT_RETENTION_DAYS } from "../constants.js";
+
+/**
+ * Channel Event Schema
+ *
+ * One document per counted view, like change, comment or subscription
+ * change on a channel. Dashboard queries read the daily rollups instead
+ * (see ChannelDailyStat); events are the raw record the rollups can be
+ * rebuilt from, and expire after the retention period.
+ */
+const channelEventSchema = new Schema({
+    type: {
+        type: String,
+        enum: Object.keys(CHANNEL_EVENT_FIELDS),
+        required: true
+    },
+    channel: {
+        type: Schema.Types.ObjectId,   // Channel (user) the event counts towards
+        ref: "User",
+        required: true
+    },
+    video: {
+        type: Schema.Types.ObjectId,   // Unset for subscription events
+        ref: "Video"
+    },
+    actor: {
+        type: Schema.Types.ObjectId,   // User who viewed, liked, commented or subscribed
+        ref: "User"
+    },
+    occurredAt: {
+        type: Date,
+        required: true
+    }
+})
+
+channelEventSchema.index({ channel: 1, occurredAt: 1 })
+// Last view of a channel by a given user (subscriber sources report)
+channelEventSchema.index({ channel: 1, actor: 1, occurredAt: -1 })
+channelEventSchema.index(
+    { occurredAt: 1 },
+    { expireAfterSeconds: ANALYTICS_EVENT_RETENTION_DAYS * 24 * 60 * 60 }
+)
+
+export const ChannelEvent = mongoose.model("ChannelEvent", channelEventSchema)
@@ -5,15 +5,44 @@ const commentSchema = new Schema(
     {
         content: {
             type: String,
-            required: true
+            // Deleted placeholders keep their place in the thread without content
+            required: function () {
+                return !this.isDeleted
+            }
         },
+        // A comment targets either a video or a tweet
         video: {
             type: Schema.Types.ObjectId,
             ref: "Video"
         },
+        tweet: {
+            type: Schema.Types.ObjectId,
+            ref: "Tweet"
+        },
         owner: {
             type: Schema.Types.ObjectId,
             ref: "User"
+        },
+        // Top-level comment this reply belongs to (null for top-level comments)
+        // Threads are one level deep: replies to a reply join the same thread
+        parent: {
+            type: Schema.Types.ObjectId,
+            ref: "Comment",
+            default: null
+        },
+        // Set when a comment with replies is deleted; content and owner are cleared
+        isDeleted: {
+            type: Boolean,
+            default: false
+        },
+        // Denormalized counters, see utils/counters.js
+        likesCount: {
+            type: Number,
+            default: 0
+        },
+        repliesCount: {
+            type: Number,
+            default: 0
         }
     },
     {
@@ -21,6 +50,10 @@ const commentSchema = new Schema(
     }
 )
 
+commentSchema.index({ video: 1, parent: 1, createdAt: -1 })
+commentSchema.index({ tweet: 1, parent: 1, createdAt: -1 }, { partialFilterExpression: { tweet: { $exists: true } } })
+commentSchema.index({ parent: 1, createdAt: 1 })
+
 commentSchema.plugin(mongooseAggregatePaginate)
 
-export const Comment = mongoose.model("Comment", commentSchema)
\ No newline at end of file
+export const Comment = mongoose.model("Comment", commentSchema)
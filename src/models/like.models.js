@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import { REACTION_TYPES } from "../constants.js";
 
 const likeSchema = new Schema({
     video: {
@@ -17,7 +18,22 @@ const likeSchema = new Schema({
         type: Schema.Types.ObjectId,
         ref: "User"
     },
-    
+    // Documents created before reactions existed have no value and count as likes
+    reaction: {
+        type: String,
+        enum: REACTION_TYPES,
+        default: "like"
+    },
 }, {timestamps: true})
 
+// One reaction per user per target; each target kind gets its own partial
+// index so documents pointing at another kind don't collide on a missing path
+const targetFields = ["video", "comment", "tweet"]
+targetFields.forEach((field) => {
+    likeSchema.index(
+        { likedBy: 1, [field]: 1 },
+        { unique: true, partialFilterExpression: { [field]: { $exists: true } } }
+    )
+})
+
 export const Like = mongoose.model("Like", likeSchema)
\ No newline at end of file
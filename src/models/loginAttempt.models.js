@@ -0,0 +1,35 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * Login Attempt Schema
+ *
+ * Failed sign-in counter for one throttle key ("account:<name>" or
+ * "ip:<address>"), used by the mongo login throttle store so every API
+ * instance sees the same counts. Documents expire once the failures are
+ * forgotten and any block has ended.
+ */
+const loginAttemptSchema = new Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    failures: {
+        type: Number,
+        default: 0
+    },
+    lastFailureAt: {
+        type: Date
+    },
+    blockedUntil: {
+        type: Date     // No attempts are checked before this time
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+})
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema)
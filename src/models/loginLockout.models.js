@@ -0,0 +1,43 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * Login Lockout Schema
+ *
+ * Audit record written whenever repeated failed sign-ins lock an account
+ * name or a client IP. Kept regardless of the throttle store, so lockouts
+ * can be reviewed after the fact.
+ */
+const loginLockoutSchema = new Schema({
+    scope: {
+        type: String,
+        enum: ["account", "ip"],
+        required: true
+    },
+    identifier: {
+        type: String,     // Account name as typed, or the IP address
+        required: true
+    },
+    user: {
+        type: Schema.Types.ObjectId,   // Account the name belongs to, if any
+        ref: "User"
+    },
+    ip: {
+        type: String      // Client that made the attempt triggering the lockout
+    },
+    userAgent: {
+        type: String
+    },
+    failures: {
+        type: Number,
+        required: true
+    },
+    lockedUntil: {
+        type: Date,
+        required: true
+    }
+}, {timestamps: true})
+
+loginLockoutSchema.index({ createdAt: -1 })
+loginLockoutSchema.index({ user: 1, createdAt: -1 })
+
+export const LoginLockout = mongoose.model("LoginLockout", loginLockoutSchema)
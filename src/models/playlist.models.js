@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 const playlistSchema = new Schema({
     name: {
@@ -19,6 +20,17 @@ const playlistSchema = new Schema({
         type: Schema.Types.ObjectId,
         ref: "User"
     },
+    isPublic: {
+        type: Boolean,  // Private playlists are only visible to their owner
+        default: true
+    },
 }, {timestamps: true})
 
+playlistSchema.index(
+    { name: "text", description: "text" },
+    { name: "playlist_text_search", weights: { name: 5, description: 1 } }
+)
+
+playlistSchema.plugin(mongooseAggregatePaginate)
+
 export const Playlist = mongoose.model("Playlist", playlistSchema)
\ No newline at end of file
@@ -0,0 +1,54 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * Session Schema
+ *
+ * One document per signed-in device. The session id is the refresh token
+ * family: every refresh token issued for the device carries it, and only
+ * the SHA-256 hash of the latest one is stored. Rotating a token replaces
+ * the hash, so presenting an older token of the family means it was
+ * replayed and the whole session is revoked.
+ *
+ * Revoked sessions are kept until their last token would have expired, so
+ * replays are still recognised; the TTL index removes them afterwards.
+ */
+const sessionSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    userAgent: {
+        type: String,
+        default: ""
+    },
+    ip: {
+        type: String,
+        default: ""
+    },
+    lastUsedAt: {
+        type: Date,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ["logout", "revoked", "reuse", "password-change"]
+    }
+}, {timestamps: true})
+
+sessionSchema.index({ user: 1, lastUsedAt: -1 })
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const Session = mongoose.model("Session", sessionSchema)
@@ -8,7 +8,17 @@ const subscriptionSchema = new Schema({
     channel: {
         type: Schema.Types.ObjectId, // Too whom 'subscriber' is subscribing
         ref: "User"
+    },
+    sourceVideo: {
+        type: Schema.Types.ObjectId, // Channel video the subscriber watched last before subscribing
+        ref: "Video"
     }
 }, {timestamps: true})
 
+// A user can subscribe to a channel only once
+subscriptionSchema.index({ subscriber: 1, channel: 1 }, { unique: true })
+
+// Subscriber sources report: subscriptions per source video of a channel
+subscriptionSchema.index({ channel: 1, sourceVideo: 1 })
+
 export const Subscription = mongoose.model("Subscription", subscriptionSchema)
\ No newline at end of file
@@ -0,0 +1,36 @@
+import mongoose, { Schema } from "mongoose";
+import { TRENDING_WINDOWS } from "../constants.js";
+
+/**
+ * Trending Snapshot Schema
+ *
+ * The precomputed trending ranking of one window (24h, 7d or 30d), replaced
+ * on every refresh. Storing it lets every API instance serve trending
+ * without recomputing it, including right after a restart.
+ */
+const trendingEntrySchema = new Schema({
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video"
+    },
+    score: Number,
+    views: Number,
+    likes: Number,
+    comments: Number
+}, { _id: false })
+
+const trendingSnapshotSchema = new Schema({
+    window: {
+        type: String,
+        enum: Object.keys(TRENDING_WINDOWS),
+        required: true,
+        unique: true
+    },
+    computedAt: {
+        type: Date,
+        required: true
+    },
+    entries: [trendingEntrySchema]
+})
+
+export const TrendingSnapshot = mongoose.model("TrendingSnapshot", trendingSnapshotSchema)
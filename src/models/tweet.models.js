@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 const tweetSchema = new Schema({
     content: {
@@ -8,7 +9,21 @@ const tweetSchema = new Schema({
     owner: {
         type: Schema.Types.ObjectId,
         ref: "User"
+    },
+    // Denormalized counters, see utils/counters.js
+    likesCount: {
+        type: Number,
+        default: 0
+    },
+    commentsCount: {
+        type: Number,
+        default: 0
     }
 }, {timestamps: true})
 
+tweetSchema.index({ content: "text" }, { name: "tweet_text_search" })
+tweetSchema.index({ owner: 1, createdAt: -1, _id: -1 })
+
+tweetSchema.plugin(mongooseAggregatePaginate)
+
 export const Tweet = mongoose.model("Tweet", tweetSchema)
\ No newline at end of file
@@ -1,6 +1,35 @@
 import mongoose, { Schema } from "mongoose";
 import bcrypt from "bcrypt";  // Library for password hashing
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { assetSchema } from "./asset.models.js";
+
+/**
+ * Identity Schema
+ * 
+ * An account at an external OpenID Connect provider linked to the user.
+ * The provider's issuer URL plus its subject id identify the person there.
+ */
+const identitySchema = new Schema (
+    {
+        issuer : {
+            type : String,    // Provider issuer URL
+            required : true
+        },
+        subject : {
+            type : String,    // Provider's stable user id ("sub" claim)
+            required : true
+        },
+        email : {
+            type : String     // Address the provider reported when linked
+        },
+        linkedAt : {
+            type : Date,
+            default : Date.now
+        }
+    }
+)
 
 const userSchema = new Schema (
     {
@@ -19,19 +48,41 @@ const userSchema = new Schema (
             lowercase: true,  // Standardizes email format
             trim: true        // Prevents whitespace issues
         },
+        emailVerified : {
+            type : Boolean,   // Set once the user follows the verification link
+            default : false   // Unverified accounts can't publish videos or tweets
+        },
+        emailVerifiedAt : {
+            type : Date
+        },
         fullname : {
             type : String,
             required : true,
             trim: true,
             index: true       // Indexed for faster searching by name
         },
+        fullnameTokens : {
+            type : [String],  // Lowercase words of fullname, prefix-matched by channel search
+            index: true,
+            select: false
+        },
         avatar : {
             type : String,    // Stores path or URL to avatar image
-            required : true   // Users must have an avatar
+            // Users must have an avatar, unless they signed up through a
+            // provider that shared no picture
+            required : function () {
+                return !this.identities?.length
+            }
         },
         coverImage : {
             type : String,    // Optional cover image for user profile
         },
+        avatarAsset : {
+            type : assetSchema  // Storage record used to delete the avatar
+        },
+        coverImageAsset : {
+            type : assetSchema  // Storage record used to delete the cover image
+        },
         watchHistory: [
             {
                 type: Schema.Types.ObjectId,  // References to Video documents
@@ -39,11 +90,41 @@ const userSchema = new Schema (
             }
         ],
         password: {
-            type: String,
-            requried: [true, "Password is required"]  // Custom error message
+            type: String      // Optional: accounts created through single sign-on have none
         },
-        refreshToken : {
-            type: String      // Stores JWT refresh token for authentication
+        identities : [
+            identitySchema    // Linked OpenID Connect provider accounts
+        ],
+        twoFactorEnabled : {
+            type: Boolean,    // Login asks for a TOTP or recovery code as well
+            default: false
+        },
+        twoFactorEnabledAt : {
+            type: Date
+        },
+        twoFactorSecret : {
+            type: String,     // Base32 TOTP secret, never returned by default
+            select: false
+        },
+        twoFactorPendingSecret : {
+            type: String,     // Secret being enrolled, until the first code confirms it
+            select: false
+        },
+        twoFactorRecoveryCodes : {
+            type: [String],   // SHA-256 hashes of the unused recovery codes
+            select: false
+        },
+        twoFactorLastUsedStep : {
+            type: Number,     // Time step of the last accepted code, so it can't be replayed
+            select: false
+        },
+        subscribersCount : {
+            type: Number,     // Users subscribed to this channel
+            default: 0
+        },
+        channelsSubscribedToCount : {
+            type: Number,     // Channels this user is subscribed to
+            default: 0
         }
     },
     { 
@@ -52,6 +133,19 @@ const userSchema = new Schema (
 )
 
 
+// Splits a full name into the lowercase words channel search matches
+userSchema.statics.fullnameTokens = function(fullname) {
+    return [...new Set(String(fullname ?? "").toLowerCase().split(/\s+/).filter(Boolean))]
+}
+
+// Keeps the search words of the name in sync
+userSchema.pre("save", function(next) {
+    if (this.isModified("fullname")) {
+        this.fullnameTokens = this.constructor.fullnameTokens(this.fullname)
+    }
+    next()
+})
+
 /**
  * Password Hashing Middleware
  * 
@@ -79,6 +173,9 @@ userSchema.pre("save", async function(next) {
  * @returns {Promise<Boolean>} - True if password matches
  */
 userSchema.methods.isPasswordCorrect = async function(password){
+    // Password-less accounts (single sign-on only) never match
+    if (!this.password || !password) return false
+
     return await bcrypt.compare(password, this.password)
 }
 
@@ -86,15 +183,18 @@ userSchema.methods.isPasswordCorrect = async function(password){
 * Method added to the userSchema that generates a JWT access token for authentication
 * This method will be available on any user document retrieved from MongoDB
 * Using a regular function (not arrow function) so 'this' refers to the user document
+*
+* @param {String} sessionId - Session the token belongs to, checked on every request
 */
-userSchema.methods.generateAccessToken = function () {
+userSchema.methods.generateAccessToken = function (sessionId) {
     return jwt.sign(
       {
         // Include user identifiers in the token payload
         _id: this._id,     // MongoDB document ID (unique identifier)
         email: this.email, // User's email address, useful for identification
         username: this.username, // Username, often used in UI displays
-        fullname: this.fullname
+        fullname: this.fullname,
+        sid: sessionId     // Revoking the session invalidates the token
         
         // Note: Only include non-sensitive data that's needed for authentication/authorization
         // Don't include passwords or other sensitive information in tokens
@@ -120,12 +220,16 @@ userSchema.methods.generateAccessToken = function () {
  * 
  * Creates a longer-lived JWT containing minimal user information.
  * Used to request new access tokens without requiring re-authentication.
+ *
+ * @param {String} sessionId - Session (token family) the token belongs to
  */
-userSchema.methods.generateRefreshToken = function(){
+userSchema.methods.generateRefreshToken = function(sessionId){
     return jwt.sign(
         {
             _id: this._id,  // Only includes user ID for security
                             // Minimizes sensitive data in long-lived token
+            sid: sessionId,
+            jti: crypto.randomUUID()  // Keeps tokens unique when rotated within a second
         },
         process.env.REFRESH_TOKEN_SECRET,  // Different secret from access token
         {
@@ -134,6 +238,15 @@ userSchema.methods.generateRefreshToken = function(){
     )
 }
 
+// A provider account can be linked to one user only
+userSchema.index(
+    { "identities.issuer": 1, "identities.subject": 1 },
+    { unique: true, partialFilterExpression: { "identities.subject": { $exists: true } } }
+)
+
+// Enables paginated aggregation, used by channel search
+userSchema.plugin(mongooseAggregatePaginate)
+
 /**
  * Hey Mongoose, I want to build a new structure in the database.
  * This document will be called "User", and the schema that will be followed 
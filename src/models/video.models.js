@@ -1,5 +1,7 @@
 import mongoose, { Schema } from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { assetSchema } from "./asset.models.js";
+import { VIDEO_VISIBILITY } from "../constants.js";
 
 const videoSchema = new Schema (
     {
@@ -11,6 +13,12 @@ const videoSchema = new Schema (
             type: String, 
             required: true
         },
+        videoFileAsset : {
+            type : assetSchema
+        },
+        thumbnailAsset : {
+            type : assetSchema
+        },
         title : {
             type : String, 
             required: true
@@ -23,21 +31,57 @@ const videoSchema = new Schema (
             type : Number, 
             default : 0
         },
+        likesCount : {
+            type : Number,    // "like" reactions, kept in sync by the like write path
+            default : 0
+        },
+        commentsCount : {
+            type : Number,    // Live comments including replies
+            default : 0
+        },
         duration : {
             type : Number, 
             required: true
         },
-        isPublished : {
-            type : Boolean,
-            default : true
+        visibility : {
+            type : String,
+            enum : Object.values(VIDEO_VISIBILITY),
+            default : VIDEO_VISIBILITY.PUBLIC,
+            index : true
+        },
+        publishAt : {
+            type : Date,      // Scheduled go-live time, unset once published
+            index : true
+        },
+        publishedAt : {
+            type : Date       // When the video first went public; orders the subscription feed
+        },
+        scheduledVisibility : {
+            type : String,    // Visibility applied when publishAt is reached
+            enum : [VIDEO_VISIBILITY.PUBLIC, VIDEO_VISIBILITY.UNLISTED]
         },
         owner : {
             type : Schema.Types.ObjectId,
             ref : "User"
+        },
+        ownerName : {
+            type : String     // Owner's fullname and username, copied for text search
         }
     },
     {timestamps : true}
 )
 
+// Full-text search index; a collection can only have one text index
+videoSchema.index(
+    { title: "text", description: "text", ownerName: "text" },
+    { name: "video_text_search", weights: { title: 10, ownerName: 5, description: 2 } }
+)
+
+// Channel uploads newest first (subscription feed, channel pages)
+videoSchema.index({ owner: 1, createdAt: -1, _id: -1 })
+
+// Subscription feed pages through channels' videos by publish time
+videoSchema.index({ owner: 1, publishedAt: -1, _id: -1 })
+
 videoSchema.plugin(mongooseAggregatePaginate)
 export const Video = mongoose.model("Video", videoSchema)
\ No newline at end of file
@@ -0,0 +1,34 @@
+import mongoose, { Schema } from "mongoose";
+import { VIEW_COUNT_WINDOW_MS } from "../constants.js";
+
+/**
+ * View Schema
+ *
+ * One document per (video, viewer) pair recording when that viewer was last
+ * counted. The unique index makes claiming a view atomic, and the TTL index
+ * lets MongoDB drop records once their counting window has passed.
+ */
+const viewSchema = new Schema({
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true
+    },
+    viewer: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    lastCountedAt: {
+        type: Date,
+        required: true
+    }
+}, {timestamps: true})
+
+viewSchema.index({ video: 1, viewer: 1 }, { unique: true })
+viewSchema.index(
+    { lastCountedAt: 1 },
+    { expireAfterSeconds: Math.ceil(VIEW_COUNT_WINDOW_MS / 1000) }
+)
+
+export const View = mongoose.model("View", viewSchema)
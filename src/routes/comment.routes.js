@@ -1,7 +1,11 @@
 import { Router } from 'express';
 import {
     addComment,
+    addReply,
+    addTweetComment,
     deleteComment,
+    getCommentReplies,
+    getTweetComments,
     getVideoComments,
     updateComment,
 } from '../controllers/comment.controllers.js';
@@ -13,5 +17,7 @@ router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
 router.route('/:videoId').get(getVideoComments).post(addComment);
 router.route('/c/:commentId').delete(deleteComment).patch(updateComment);
+router.route('/c/:commentId/replies').get(getCommentReplies).post(addReply);
+router.route('/t/:tweetId').get(getTweetComments).post(addTweetComment);
 
 export default router;
\ No newline at end of file
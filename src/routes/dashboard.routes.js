@@ -1,7 +1,14 @@
 import { Router } from "express";
 import {
     getChannelStats,
-    getChannelVideos
+    getChannelVideos,
+    getChannelAnalytics,
+    getVideoAnalytics,
+    getTopVideos,
+    getTopComments,
+    getTopCommenters,
+    getSubscriberSources,
+    exportChannelData
 } from "../controllers/dashboard.controllers.js";
 import { verifyJWT } from "../middlewares/auth.middlewares.js";
 
@@ -12,5 +19,12 @@ router.use(verifyJWT);
 
 router.route("/stats").get(getChannelStats);
 router.route("/videos").get(getChannelVideos);
+router.route("/analytics").get(getChannelAnalytics);
+router.route("/analytics/videos").get(getVideoAnalytics);
+router.route("/reports/top-videos").get(getTopVideos);
+router.route("/reports/top-comments").get(getTopComments);
+router.route("/reports/top-commenters").get(getTopCommenters);
+router.route("/reports/subscriber-sources").get(getSubscriberSources);
+router.route("/export").get(exportChannelData);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,12 @@
+import { Router } from "express";
+import { getSubscriptionFeed } from "../controllers/feed.controllers.js";
+import { verifyJWT } from "../middlewares/auth.middlewares.js";
+
+const router = Router();
+
+// Apply JWT verification to all routes in this file
+router.use(verifyJWT);
+
+router.route("/subscriptions").get(getSubscriptionFeed);
+
+export default router;
@@ -1,6 +1,10 @@
 import { Router } from 'express';
 import {
     getLikedVideos,
+    getReactionTypes,
+    reactToComment,
+    reactToTweet,
+    reactToVideo,
     toggleCommentLike,
     toggleVideoLike,
     toggleTweetLike,
@@ -15,4 +19,10 @@ router.route('/toggle/v/:videoId').post(toggleVideoLike);
 router.route('/toggle/c/:commentId').post(toggleCommentLike);
 router.route('/toggle/t/:tweetId').post(toggleTweetLike);
 
+// Reactions: body { reaction }, one of the types from /reactions
+router.route('/reactions').get(getReactionTypes);
+router.route('/react/v/:videoId').post(reactToVideo);
+router.route('/react/c/:commentId').post(reactToComment);
+router.route('/react/t/:tweetId').post(reactToTweet);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,12 @@
+import { Router } from "express";
+import { searchAll } from "../controllers/search.controllers.js";
+import { verifyJWT } from "../middlewares/auth.middlewares.js";
+
+const router = Router();
+
+// Apply JWT verification to all routes in this file
+router.use(verifyJWT);
+
+router.route("/").get(searchAll);
+
+export default router;
@@ -5,12 +5,12 @@ import {
     getUserTweets,
     updateTweet,
 } from '../controllers/tweet.controllers.js';
-import {verifyJWT} from '../middlewares/auth.middlewares.js';
+import {verifyJWT, requireVerifiedEmail} from '../middlewares/auth.middlewares.js';
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route('/').post(createTweet);
+router.route('/').post(requireVerifiedEmail, createTweet);
 router.route('/user/:userId').get(getUserTweets);
 router.route('/:tweetId').patch(updateTweet).delete(deleteTweet);
 
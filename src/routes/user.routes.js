@@ -1,17 +1,39 @@
 import { Router } from "express";
 import { 
     loginUser,
+    verifyTwoFactorLogin,
+    startOidcLogin,
+    startOidcLink,
+    handleOidcCallback,
+    unlinkOidcIdentity,
     registerUser, 
     logoutUser, 
     refreshAccessToken, 
     changeCurrentPassword,
+    requestEmailVerification,
+    verifyEmail,
+    forgotPassword,
+    resetPassword,
     getCurrentUser,
     updateAccountDetails,
     updateUserAvatar,
     updateUserCoverImage,
     getUserChannelProfile,
-    getWatchHistory
+    getWatchHistory,
+    removeFromWatchHistory,
+    clearWatchHistory,
+    deleteAccount,
+    getSessions,
+    revokeUserSession,
+    revokeAllUserSessions
 } from "../controllers/user.controllers.js";
+import {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateTwoFactorRecoveryCodes
+} from "../controllers/twoFactor.controllers.js";
 import { upload } from "../middlewares/multer.middlewares.js";
 import { verifyJWT } from "../middlewares/auth.middlewares.js";
 
@@ -49,9 +71,35 @@ router.route("/register").post(
 
 // User Authentication Endpoints
 router.route("/login").post(loginUser)
+router.route("/login/2fa").post(verifyTwoFactorLogin)
+
+/**
+ * Single Sign-On Endpoints
+ * 
+ * OpenID Connect authorization-code flow with PKCE:
+ * - Login/Link: Redirect the browser to the provider
+ * - Callback: Where the provider redirects back; signs in or links
+ * - Identities: Unlink a provider from the account
+ */
+router.route("/oidc/login").get(startOidcLogin)
+router.route("/oidc/link").get(verifyJWT, startOidcLink)
+router.route("/oidc/callback").get(handleOidcCallback)
+router.route("/oidc/identities/:identityId").delete(verifyJWT, unlinkOidcIdentity)
 router.route("/logout").post(verifyJWT, logoutUser)
 router.route("/refresh-token").post(refreshAccessToken)
 
+/**
+ * Account Recovery and Verification Endpoints
+ * 
+ * Both flows email a single-use, expiring link whose token is posted back:
+ * - Verify Email: Confirms the address, required before publishing
+ * - Password Reset: Sets a new password without knowing the old one
+ */
+router.route("/verify-email/request").post(verifyJWT, requestEmailVerification)
+router.route("/verify-email").post(verifyEmail)
+router.route("/forgot-password").post(forgotPassword)
+router.route("/reset-password").post(resetPassword)
+
 /**
  * User Profile Management Endpoints
  * 
@@ -63,18 +111,43 @@ router.route("/current-user").get(verifyJWT, getCurrentUser)
 router.route("/update-account").patch(verifyJWT, updateAccountDetails)
 router.route("/avatar").patch(verifyJWT, upload.single("avatar"), updateUserAvatar)
 router.route("/cover-image").patch(verifyJWT, upload.single("coverImage"), updateUserCoverImage)
+router.route("/delete-account").delete(verifyJWT, deleteAccount)
+
+/**
+ * Session Endpoints
+ * 
+ * Each device the user signs in on has its own session:
+ * - List: Gets the open sessions, flagging the current one
+ * - Revoke: Signs out one device, or every device at once
+ */
+router.route("/sessions").get(verifyJWT, getSessions).delete(verifyJWT, revokeAllUserSessions)
+router.route("/sessions/:sessionId").delete(verifyJWT, revokeUserSession)
+
+/**
+ * Two-Factor Authentication Endpoints
+ * 
+ * TOTP with an authenticator app, plus one-time recovery codes:
+ * - Setup: Returns a secret and otpauth URI, confirmed by the first code
+ * - Disable and recovery code renewal require a current code
+ */
+router.route("/2fa").get(verifyJWT, getTwoFactorStatus)
+router.route("/2fa/setup").post(verifyJWT, setupTwoFactor)
+router.route("/2fa/confirm").post(verifyJWT, confirmTwoFactor)
+router.route("/2fa/disable").post(verifyJWT, disableTwoFactor)
+router.route("/2fa/recovery-codes").post(verifyJWT, regenerateTwoFactorRecoveryCodes)
 
 /**
  * Channel and Activity Endpoints
  * 
  * Defines routes for accessing user channel profiles and viewing history:
  * - Channel Profile: Gets a user's public channel information by username
- * - Watch History: Retrieves the authenticated user's video viewing history
+ * - Watch History: Retrieves, prunes or clears the authenticated user's viewing history
  * 
  * Both routes require authentication.
  * The channel profile route uses a URL parameter for the username.
  */
 router.route("/c/:username").get(verifyJWT, getUserChannelProfile)
-router.route("/history").get(verifyJWT, getWatchHistory)
+router.route("/history").get(verifyJWT, getWatchHistory).delete(verifyJWT, clearWatchHistory)
+router.route("/history/:videoId").delete(verifyJWT, removeFromWatchHistory)
 
 export default router
\ No newline at end of file
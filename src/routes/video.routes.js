@@ -5,10 +5,13 @@ import {
     getVideoById,
     updateVideo,
     deleteVideo,
-    togglePublishStatus
+    togglePublishStatus,
+    updateVideoVisibility,
+    getVideoRecommendations,
+    getTrendingVideos
 } from "../controllers/video.controllers.js";
 import { upload } from "../middlewares/multer.middlewares.js";
-import { verifyJWT } from "../middlewares/auth.middlewares.js";
+import { verifyJWT, requireVerifiedEmail } from "../middlewares/auth.middlewares.js";
 
 const router = Router();
 
@@ -18,6 +21,7 @@ router.use(verifyJWT);
 router.route("/")
     .get(getAllVideos)
     .post(
+        requireVerifiedEmail,
         upload.fields([
             { name: "videoFile", maxCount: 1 },
             { name: "thumbnail", maxCount: 1 }
@@ -25,11 +29,17 @@ router.route("/")
         publishAVideo
     );
 
+// Must be registered before "/:videoId" so "trending" isn't taken for an id
+router.route("/trending").get(getTrendingVideos);
+
 router.route("/:videoId")
     .get(getVideoById)
     .patch(upload.single("thumbnail"), updateVideo)
     .delete(deleteVideo);
 
-router.route("/toggle/publish/:videoId").patch(togglePublishStatus);
+router.route("/:videoId/recommendations").get(getVideoRecommendations);
+
+router.route("/toggle/publish/:videoId").patch(requireVerifiedEmail, togglePublishStatus);
+router.route("/visibility/:videoId").patch(requireVerifiedEmail, updateVideoVisibility);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,154 @@
+/*
+ * Asset Record Backfill
+ *
+ * One-off migration for documents created before videos and users kept
+ * structured asset records. It derives each record from the stored URL:
+ *   - Cloudinary: https://res.cloudinary.com/<cloud>/<resource_type>/<type>/[v<version>/]<public_id>.<format>
+ *   - Local storage: <LOCAL_STORAGE_BASE_URL>/<public_id>
+ *   - S3 storage: <S3_PUBLIC_URL>/<public_id>
+ *
+ * Documents that already have a record are left untouched, so the script is
+ * safe to re-run.
+ *
+ * Usage:
+ *   node src/scripts/backfillAssetRecords.js [--dry-run]
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../db/index.db.js";
+import { Video } from "../models/video.models.js";
+import { User } from "../models/user.models.js";
+
+dotenv.config({
+    path: "./.env"
+});
+
+const dryRun = process.argv.includes("--dry-run");
+
+const trimSlash = (url) => url?.replace(/\/+$/, "");
+
+// Splits "name.ext" into its base name and extension
+const splitExtension = (name) => {
+    const dot = name.lastIndexOf(".");
+    return dot > 0
+        ? { base: name.slice(0, dot), format: name.slice(dot + 1) }
+        : { base: name, format: undefined };
+};
+
+const parseCloudinaryUrl = (url) => {
+    const { hostname, pathname } = new URL(url);
+    if (!hostname.endsWith("cloudinary.com")) return null;
+
+    // [cloud_name, resource_type, delivery_type, ...rest]
+    const segments = pathname.split("/").filter(Boolean).map(decodeURIComponent);
+    if (segments.length < 4) return null;
+
+    const resourceType = segments[1];
+    let rest = segments.slice(3);
+
+    // Everything after the version segment is the public id, folders included
+    const versionIndex = rest.findIndex((segment) => /^v\d+$/.test(segment));
+    if (versionIndex !== -1) {
+        rest = rest.slice(versionIndex + 1);
+    }
+    if (!rest.length) return null;
+
+    // Raw assets keep their extension as part of the public id
+    const last = rest.pop();
+    const { base, format } = resourceType === "raw" ? { base: last } : splitExtension(last);
+
+    return {
+        public_id: [...rest, base].join("/"),
+        resource_type: resourceType,
+        format,
+        provider: "cloudinary"
+    };
+};
+
+const parsePrefixedUrl = (url, prefix, provider) => {
+    if (!prefix || !url.startsWith(`${prefix}/`)) return null;
+
+    const publicId = url.slice(prefix.length + 1);
+    const { format } = splitExtension(publicId.split("/").pop());
+
+    return {
+        public_id: publicId,
+        resource_type: publicId.split("/")[0],
+        format,
+        provider
+    };
+};
+
+// Derives an asset record from a stored URL, or null if it is not recognised
+const parseAssetUrl = (url) => {
+    if (!url) return null;
+
+    try {
+        return (
+            parsePrefixedUrl(url, trimSlash(process.env.LOCAL_STORAGE_BASE_URL), "local") ||
+            parsePrefixedUrl(url, trimSlash(process.env.S3_PUBLIC_URL), "s3") ||
+            parseCloudinaryUrl(url)
+        );
+    } catch {
+        return null;
+    }
+};
+
+// Fills in missing asset records for one model
+// fields maps each URL field to the asset record field derived from it
+const backfill = async (Model, fields) => {
+    const missing = Object.values(fields).map((assetField) => ({
+        [assetField]: { $exists: false }
+    }));
+    const cursor = Model.find({ $or: missing })
+        .select([...Object.keys(fields), ...Object.values(fields)].join(" "))
+        .lean()
+        .cursor();
+
+    const stats = { scanned: 0, updated: 0, unrecognised: 0 };
+
+    for await (const doc of cursor) {
+        stats.scanned += 1;
+        const update = {};
+
+        for (const [urlField, assetField] of Object.entries(fields)) {
+            if (doc[assetField] || !doc[urlField]) continue;
+
+            const asset = parseAssetUrl(doc[urlField]);
+            if (asset) {
+                update[assetField] = asset;
+            } else {
+                stats.unrecognised += 1;
+                console.log(`${Model.modelName} ${doc._id}: unrecognised ${urlField} URL ${doc[urlField]}`);
+            }
+        }
+
+        if (!Object.keys(update).length) continue;
+
+        stats.updated += 1;
+        if (!dryRun) {
+            await Model.updateOne({ _id: doc._id }, { $set: update });
+        }
+    }
+
+    console.log(`${Model.modelName}:`, stats);
+};
+
+const run = async () => {
+    await connectDB();
+
+    if (dryRun) {
+        console.log("Dry run: no documents will be modified");
+    }
+
+    await backfill(Video, { videoFile: "videoFileAsset", thumbnail: "thumbnailAsset" });
+    await backfill(User, { avatar: "avatarAsset", coverImage: "coverImageAsset" });
+};
+
+run()
+    .catch((error) => {
+        console.log("Asset backfill failed", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,66 @@
+/*
+ * Subscription Source Backfill
+ *
+ * Subscriptions now record the video the subscriber watched last before
+ * subscribing. For subscriptions made before that, this script takes the
+ * latest view event that precedes each one. Events are only kept for the
+ * analytics retention period, so older subscriptions stay without a source.
+ *
+ * Only subscriptions without a source are touched, so the script is safe to
+ * re-run.
+ *
+ * Usage:
+ *   node src/scripts/backfillSubscriptionSources.js
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../db/index.db.js";
+import { Subscription } from "../models/subscription.models.js";
+import { ChannelEvent } from "../models/channelEvent.models.js";
+
+dotenv.config({
+    path: "./.env"
+});
+
+const run = async () => {
+    await connectDB();
+
+    const cursor = Subscription.find({ sourceVideo: null })
+        .select("subscriber channel createdAt")
+        .lean()
+        .cursor();
+
+    let checked = 0;
+    let updated = 0;
+    for await (const subscription of cursor) {
+        checked += 1;
+
+        const lastView = await ChannelEvent.findOne({
+            channel: subscription.channel,
+            actor: subscription.subscriber,
+            type: "view",
+            occurredAt: { $lte: subscription.createdAt }
+        })
+            .sort({ occurredAt: -1 })
+            .select("video")
+            .lean();
+
+        if (lastView?.video) {
+            await Subscription.updateOne({ _id: subscription._id }, { $set: { sourceVideo: lastView.video } });
+            updated += 1;
+        }
+    }
+
+    // Make sure the report's index exists
+    await Subscription.syncIndexes();
+
+    console.log(`Subscriptions given a source video: ${updated} of ${checked}`);
+};
+
+run()
+    .catch((error) => {
+        console.log("Subscription source backfill failed", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,55 @@
+/*
+ * User Name Search Backfill
+ *
+ * Fills fullnameTokens, the lowercase words of each user's full name that
+ * channel search prefix-matches, and builds its index. Run once after
+ * upgrading; afterwards the field is kept in sync when users are saved or
+ * update their account details.
+ *
+ * Usage:
+ *   node src/scripts/backfillUserNameSearch.js
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../db/index.db.js";
+import { User } from "../models/user.models.js";
+
+dotenv.config({
+    path: "./.env"
+});
+
+const run = async () => {
+    await connectDB();
+
+    // Split in JavaScript, like the save hook, so non-ASCII names match too
+    const cursor = User.find().select("fullname +fullnameTokens").lean().cursor();
+
+    let updated = 0;
+    for await (const user of cursor) {
+        const fullnameTokens = User.fullnameTokens(user.fullname);
+        if (user.fullnameTokens?.join(" ") === fullnameTokens.join(" ")) continue;
+
+        await User.updateOne({ _id: user._id }, { $set: { fullnameTokens } });
+        updated += 1;
+    }
+
+    // fullnameLower was the earlier whole-name search field. Use the raw
+    // collection: it is no longer part of the schema
+    await User.collection.updateMany(
+        { fullnameLower: { $exists: true } },
+        { $unset: { fullnameLower: "" } }
+    );
+
+    // Builds the new index and drops the one on fullnameLower
+    await User.syncIndexes();
+
+    console.log(`Updated ${updated} user(s)`);
+};
+
+run()
+    .catch((error) => {
+        console.log("User name search backfill failed", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
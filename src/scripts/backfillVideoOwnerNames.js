@@ -0,0 +1,48 @@
+/*
+ * Video Owner Name Backfill
+ *
+ * Copies each owner's fullname and username onto their videos, which the
+ * full-text search index covers. Run once after upgrading; afterwards the
+ * field is kept in sync when videos are published or accounts updated.
+ *
+ * Usage:
+ *   node src/scripts/backfillVideoOwnerNames.js
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../db/index.db.js";
+import { Video } from "../models/video.models.js";
+import { User } from "../models/user.models.js";
+import { syncVideoOwnerName } from "../utils/videoSearch.js";
+
+dotenv.config({
+    path: "./.env"
+});
+
+const run = async () => {
+    await connectDB();
+
+    const ownerIds = await Video.distinct("owner");
+    const cursor = User.find({ _id: { $in: ownerIds } })
+        .select("fullname username")
+        .cursor();
+
+    let owners = 0;
+    for await (const user of cursor) {
+        await syncVideoOwnerName(user);
+        owners += 1;
+    }
+
+    // Make sure the text index exists before the API starts searching
+    await Video.syncIndexes();
+
+    console.log(`Updated videos of ${owners} owner(s)`);
+};
+
+run()
+    .catch((error) => {
+        console.log("Owner name backfill failed", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
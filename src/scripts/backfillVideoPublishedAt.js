@@ -0,0 +1,45 @@
+/*
+ * Video Publish Time Backfill
+ *
+ * Sets publishedAt, which orders the subscription feed, on public videos
+ * published before the field existed. Their upload time is the best record
+ * of when they went live. Private and unlisted videos get the field when
+ * they are first made public.
+ *
+ * Only videos without a publishedAt are touched, so the script is safe to
+ * re-run. Run it after migrate:video-visibility.
+ *
+ * Usage:
+ *   node src/scripts/backfillVideoPublishedAt.js
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../db/index.db.js";
+import { Video } from "../models/video.models.js";
+import { VIDEO_VISIBILITY } from "../constants.js";
+
+dotenv.config({
+    path: "./.env"
+});
+
+const run = async () => {
+    await connectDB();
+
+    const result = await Video.updateMany(
+        { visibility: VIDEO_VISIBILITY.PUBLIC, publishedAt: { $exists: false } },
+        [{ $set: { publishedAt: "$createdAt" } }]
+    );
+
+    // Make sure the feed index exists before the API starts paging on it
+    await Video.syncIndexes();
+
+    console.log(`Videos given a publish time: ${result.modifiedCount}`);
+};
+
+run()
+    .catch((error) => {
+        console.log("Publish time backfill failed", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,39 @@
+/*
+ * Legacy Refresh Token Cleanup
+ *
+ * Refresh tokens now live hashed in the sessions collection, one per
+ * device. Removes the old plain-text refreshToken field from users; tokens
+ * issued before the upgrade stop working either way, so every user signs in
+ * once more.
+ *
+ * Usage:
+ *   node src/scripts/dropLegacyRefreshTokens.js
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../db/index.db.js";
+import { User } from "../models/user.models.js";
+
+dotenv.config({
+    path: "./.env"
+});
+
+const run = async () => {
+    await connectDB();
+
+    // Use the raw collection: refreshToken is no longer part of the schema
+    const result = await User.collection.updateMany(
+        { refreshToken: { $exists: true } },
+        { $unset: { refreshToken: "" } }
+    );
+
+    console.log(`Legacy refresh tokens removed: ${result.modifiedCount}`);
+};
+
+run()
+    .catch((error) => {
+        console.log("Refresh token cleanup failed", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,93 @@
+/*
+ * Duplicate Like and Subscription Merge
+ *
+ * Before likes and subscriptions had unique indexes, concurrent toggles
+ * could store the same row twice. This script collapses each group of
+ * duplicates into one document and then builds the unique indexes:
+ *   - Likes: the most recently updated reaction is kept
+ *   - Subscriptions: the oldest row is kept, preserving the subscribe date
+ *
+ * Safe to re-run; with no duplicates left it only syncs the indexes.
+ *
+ * Usage:
+ *   node src/scripts/mergeDuplicateEngagement.js [--dry-run]
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../db/index.db.js";
+import { Like } from "../models/like.models.js";
+import { Subscription } from "../models/subscription.models.js";
+
+dotenv.config({
+    path: "./.env"
+});
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Groups documents by the given key paths and returns the ids to delete,
+// keeping the first document of each group in "sort" order
+const findDuplicateIds = async (model, match, keys, sort) => {
+    const groups = await model.aggregate([
+        { $match: match },
+        { $sort: sort },
+        {
+            $group: {
+                _id: Object.fromEntries(keys.map((key) => [key, `$${key}`])),
+                ids: { $push: "$_id" },
+                count: { $sum: 1 }
+            }
+        },
+        { $match: { count: { $gt: 1 } } }
+    ]).allowDiskUse(true);
+
+    return {
+        groups: groups.length,
+        ids: groups.flatMap((group) => group.ids.slice(1))
+    };
+};
+
+const removeDuplicates = async (label, model, match, keys, sort) => {
+    const { groups, ids } = await findDuplicateIds(model, match, keys, sort);
+
+    if (!dryRun && ids.length) {
+        await model.deleteMany({ _id: { $in: ids } });
+    }
+
+    console.log(`${label}: ${groups} duplicated group(s), ${ids.length} extra row(s)${dryRun ? " found" : " removed"}`);
+};
+
+const run = async () => {
+    await connectDB();
+
+    for (const field of ["video", "comment", "tweet"]) {
+        await removeDuplicates(
+            `Likes on ${field}s`,
+            Like,
+            { [field]: { $exists: true } },
+            ["likedBy", field],
+            { updatedAt: -1, _id: -1 }
+        );
+    }
+
+    await removeDuplicates(
+        "Subscriptions",
+        Subscription,
+        {},
+        ["subscriber", "channel"],
+        { createdAt: 1, _id: 1 }
+    );
+
+    if (!dryRun) {
+        // Build the unique indexes now that nothing conflicts with them
+        await Like.syncIndexes();
+        await Subscription.syncIndexes();
+    }
+};
+
+run()
+    .catch((error) => {
+        console.log("Duplicate merge failed", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
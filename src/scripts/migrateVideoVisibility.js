@@ -0,0 +1,47 @@
+/*
+ * Video Visibility Migration
+ *
+ * Converts the old isPublished boolean into the visibility field:
+ *   - isPublished: false -> "private"
+ *   - isPublished: true (or missing) -> "public"
+ *
+ * Only documents without a visibility value are touched, so the script is
+ * safe to re-run.
+ *
+ * Usage:
+ *   node src/scripts/migrateVideoVisibility.js
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../db/index.db.js";
+import { Video } from "../models/video.models.js";
+import { VIDEO_VISIBILITY } from "../constants.js";
+
+dotenv.config({
+    path: "./.env"
+});
+
+const run = async () => {
+    await connectDB();
+
+    // Use the raw collection: isPublished is no longer part of the schema
+    const drafts = await Video.collection.updateMany(
+        { visibility: { $exists: false }, isPublished: false },
+        { $set: { visibility: VIDEO_VISIBILITY.PRIVATE }, $unset: { isPublished: "" } }
+    );
+    const published = await Video.collection.updateMany(
+        { visibility: { $exists: false } },
+        { $set: { visibility: VIDEO_VISIBILITY.PUBLIC }, $unset: { isPublished: "" } }
+    );
+
+    console.log(`Videos made private: ${drafts.modifiedCount}`);
+    console.log(`Videos made public: ${published.modifiedCount}`);
+};
+
+run()
+    .catch((error) => {
+        console.log("Visibility migration failed", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
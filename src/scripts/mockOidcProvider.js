@@ -0,0 +1,176 @@
+/*
+ * Mock OpenID Connect Provider
+ *
+ * A minimal identity provider for trying single sign-on locally and in CI.
+ * It serves discovery, JWKS, authorization, token and userinfo endpoints,
+ * signs ID tokens with a fresh RS256 key, and enforces PKCE (S256), the
+ * client id, the redirect URI and single-use codes like a real provider.
+ *
+ * There is no login page: the authorization endpoint approves immediately.
+ * The signed-in user is built from the login_hint parameter (default
+ * "mock-user"), so different hints act as different people:
+ *   sub = <hint>, email = <hint>@example.com, picture = <issuer>/avatar.png
+ * Append "+unverified" to the hint for email_verified: false.
+ *
+ * Point the API at it with:
+ *   OIDC_ISSUER=http://localhost:9400
+ *   OIDC_CLIENT_ID=play-sphere
+ *
+ * Usage:
+ *   node src/scripts/mockOidcProvider.js
+ *
+ * Configuration:
+ *   MOCK_OIDC_PORT      - Port to listen on (default: 9400)
+ *   MOCK_OIDC_CLIENT_ID - Accepted client id (default: play-sphere)
+ */
+
+import crypto from "crypto";
+import express from "express";
+import jwt from "jsonwebtoken";
+
+const port = Number(process.env.MOCK_OIDC_PORT || 9400);
+const clientId = process.env.MOCK_OIDC_CLIENT_ID || "play-sphere";
+const issuer = `http://localhost:${port}`;
+
+const CODE_TTL_MS = 60 * 1000;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString("hex");
+const jwk = { ...publicKey.export({ format: "jwk" }), kid, alg: "RS256", use: "sig" };
+
+// Issued codes and access tokens, kept in memory
+const codes = new Map();
+const accessTokens = new Map();
+
+// 1x1 PNG served as every user's picture
+const AVATAR_PNG = Buffer.from(
+    "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==",
+    "base64"
+);
+
+const profileFor = (hint = "mock-user") => {
+    const unverified = hint.endsWith("+unverified");
+    const name = hint.replace(/\+unverified$/, "").replace(/[^\w.-]/g, "") || "mock-user";
+
+    return {
+        sub: name,
+        email: `${name}@example.com`,
+        email_verified: !unverified,
+        name: `Mock ${name}`,
+        preferred_username: name,
+        picture: `${issuer}/avatar.png`
+    };
+};
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ["code"],
+        subject_types_supported: ["public"],
+        id_token_signing_alg_values_supported: ["RS256"],
+        code_challenge_methods_supported: ["S256"],
+        token_endpoint_auth_methods_supported: ["none", "client_secret_basic", "client_secret_post"],
+        scopes_supported: ["openid", "email", "profile"]
+    });
+});
+
+app.get("/jwks", (req, res) => {
+    res.json({ keys: [jwk] });
+});
+
+app.get("/avatar.png", (req, res) => {
+    res.type("image/png").send(AVATAR_PNG);
+});
+
+// Approves every request and redirects straight back with a code
+app.get("/authorize", (req, res) => {
+    const {
+        response_type: responseType,
+        client_id: requestClientId,
+        redirect_uri: redirectUri,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: challengeMethod,
+        login_hint: loginHint
+    } = req.query;
+
+    if (responseType !== "code" || requestClientId !== clientId || !redirectUri) {
+        return res.status(400).send("Invalid authorization request");
+    }
+    if (!codeChallenge || challengeMethod !== "S256") {
+        return res.status(400).send("PKCE with S256 is required");
+    }
+
+    const code = crypto.randomBytes(16).toString("base64url");
+    codes.set(code, {
+        redirectUri,
+        nonce,
+        codeChallenge,
+        profile: profileFor(loginHint),
+        expiresAt: Date.now() + CODE_TTL_MS
+    });
+
+    const target = new URL(redirectUri);
+    target.searchParams.set("code", code);
+    if (state) target.searchParams.set("state", state);
+
+    res.redirect(target.toString());
+});
+
+app.post("/token", (req, res) => {
+    const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+
+    // Client id from HTTP Basic auth or the form
+    const basic = req.get("authorization")?.match(/^Basic (.+)$/)?.[1];
+    const requestClientId = basic
+        ? decodeURIComponent(Buffer.from(basic, "base64").toString().split(":")[0])
+        : req.body.client_id;
+
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (grantType !== "authorization_code" || !grant || grant.expiresAt < Date.now()) {
+        return res.status(400).json({ error: "invalid_grant", error_description: "Unknown or expired code" });
+    }
+    if (requestClientId !== clientId || redirectUri !== grant.redirectUri) {
+        return res.status(400).json({ error: "invalid_grant", error_description: "Client or redirect URI mismatch" });
+    }
+
+    const challenge = crypto.createHash("sha256").update(codeVerifier || "").digest("base64url");
+    if (challenge !== grant.codeChallenge) {
+        return res.status(400).json({ error: "invalid_grant", error_description: "PKCE verification failed" });
+    }
+
+    const idToken = jwt.sign(
+        { ...grant.profile, nonce: grant.nonce },
+        privateKey,
+        { algorithm: "RS256", keyid: kid, issuer, audience: clientId, expiresIn: "5m" }
+    );
+
+    const accessToken = crypto.randomBytes(16).toString("base64url");
+    accessTokens.set(accessToken, grant.profile);
+
+    res.json({ access_token: accessToken, token_type: "Bearer", expires_in: 300, id_token: idToken });
+});
+
+app.get("/userinfo", (req, res) => {
+    const token = req.get("authorization")?.replace(/^Bearer /, "");
+    const profile = accessTokens.get(token);
+
+    if (!profile) {
+        return res.status(401).json({ error: "invalid_token" });
+    }
+    res.json(profile);
+});
+
+app.listen(port, () => {
+    console.log(`Mock OIDC provider running at ${issuer} (client id "${clientId}")`);
+});
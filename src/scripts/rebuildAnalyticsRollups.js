@@ -0,0 +1,34 @@
+/*
+ * Analytics Rollup Rebuild
+ *
+ * Recomputes the daily channel analytics rollups from the raw channel
+ * events still within the retention period. Rollups for older days are
+ * kept as they are. Use it if the rollups were lost or edited by hand.
+ *
+ * Usage:
+ *   node src/scripts/rebuildAnalyticsRollups.js
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../db/index.db.js";
+import { rebuildDailyStats } from "../utils/channelAnalytics.js";
+
+dotenv.config({
+    path: "./.env"
+});
+
+const run = async () => {
+    await connectDB();
+
+    const applied = await rebuildDailyStats();
+
+    console.log(`Rebuilt daily rollups from ${applied} event group(s)`);
+};
+
+run()
+    .catch((error) => {
+        console.log("Analytics rollup rebuild failed", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
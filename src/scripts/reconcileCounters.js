@@ -0,0 +1,39 @@
+/*
+ * Counter Reconciliation
+ *
+ * Recomputes likesCount, commentsCount, repliesCount, subscribersCount and
+ * channelsSubscribedToCount from the likes, comments and subscriptions
+ * collections. Run it once after upgrading to fill the counters for existing
+ * data, and whenever they look wrong; the API also runs it periodically.
+ *
+ * Usage:
+ *   node src/scripts/reconcileCounters.js [--dry-run]
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../db/index.db.js";
+import { reconcileCounters } from "../utils/counterReconciler.js";
+
+dotenv.config({
+    path: "./.env"
+});
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+    await connectDB();
+
+    const report = await reconcileCounters({ dryRun });
+
+    for (const [counter, corrected] of Object.entries(report)) {
+        console.log(`${counter}: ${corrected} document(s)${dryRun ? " out of sync" : " corrected"}`);
+    }
+};
+
+run()
+    .catch((error) => {
+        console.log("Counter reconciliation failed", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,64 @@
+/*
+ * Account Emails Module
+ *
+ * Builds and sends the verification and password reset emails. Links point
+ * at APP_URL (default: http://localhost:<PORT>), where the client reads the
+ * token from the query string and posts it back to the API.
+ */
+
+import { sendMail } from "./mailer/index.js";
+import { issueAccountToken } from "./accountTokens.js";
+import { ACCOUNT_TOKEN_PURPOSES, ACCOUNT_TOKEN_TTL_MS } from "../constants.js";
+
+const appUrl = () => (
+    process.env.APP_URL || `http://localhost:${process.env.PORT || 8001}`
+).replace(/\/+$/, "");
+
+// "24 hours", "1 hour"
+const validityOf = (purpose) => {
+    const hours = Math.round(ACCOUNT_TOKEN_TTL_MS[purpose] / (60 * 60 * 1000));
+    return `${hours} hour${hours === 1 ? "" : "s"}`;
+};
+
+// Sends a link that confirms the user's current email address
+const sendVerificationEmail = async (user) => {
+    const purpose = ACCOUNT_TOKEN_PURPOSES.VERIFY_EMAIL;
+    const token = await issueAccountToken(user, purpose);
+    const link = `${appUrl()}/verify-email?token=${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: "Verify your email address",
+        text: [
+            `Hi ${user.fullname},`,
+            "",
+            "Confirm your email address to start publishing videos and tweets:",
+            link,
+            "",
+            `The link is valid for ${validityOf(purpose)}.`
+        ].join("\n")
+    });
+};
+
+// Sends a link that lets the user choose a new password
+const sendPasswordResetEmail = async (user) => {
+    const purpose = ACCOUNT_TOKEN_PURPOSES.RESET_PASSWORD;
+    const token = await issueAccountToken(user, purpose);
+    const link = `${appUrl()}/reset-password?token=${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: [
+            `Hi ${user.fullname},`,
+            "",
+            "Someone asked to reset the password of your account. Choose a new one here:",
+            link,
+            "",
+            `The link is valid for ${validityOf(purpose)} and can be used once.`,
+            "If this wasn't you, ignore this email; your password stays unchanged."
+        ].join("\n")
+    });
+};
+
+export { sendVerificationEmail, sendPasswordResetEmail };
@@ -0,0 +1,63 @@
+/*
+ * Account Tokens Module
+ *
+ * Issues and redeems the single-use tokens behind email verification and
+ * password reset. Tokens are random, only their hash is stored, and each
+ * one is bound to the address it was sent to:
+ *   - issuing a token replaces any earlier one with the same purpose
+ *   - redeeming deletes it atomically, so it works exactly once
+ *   - a token sent to an address the account no longer has is refused
+ */
+
+import crypto from "crypto";
+import { AccountToken } from "../models/accountToken.models.js";
+import { hashToken } from "./sessions.js";
+import { ACCOUNT_TOKEN_TTL_MS } from "../constants.js";
+
+/**
+ * Creates a token for a user, invalidating earlier ones with the same purpose
+ *
+ * @param {Object} user - User document (_id, email)
+ * @param {String} purpose - One of ACCOUNT_TOKEN_PURPOSES
+ * @returns {Promise<String>} - The raw token, to be sent by email
+ */
+const issueAccountToken = async (user, purpose) => {
+    const token = crypto.randomBytes(32).toString("base64url");
+
+    await AccountToken.deleteMany({ user: user._id, purpose });
+    await AccountToken.create({
+        user: user._id,
+        purpose,
+        tokenHash: hashToken(token),
+        email: user.email,
+        expiresAt: new Date(Date.now() + ACCOUNT_TOKEN_TTL_MS[purpose])
+    });
+
+    return token;
+};
+
+/**
+ * Redeems a token, which can't be used again afterwards
+ *
+ * @param {String} token - Raw token from the email
+ * @param {String} purpose - Purpose the token must have been issued for
+ * @returns {Promise<Object|null>} - The token record (user, email), or null
+ *                                   if it is unknown, used or expired
+ */
+const redeemAccountToken = async (token, purpose) => {
+    if (typeof token !== "string" || !token) return null;
+
+    // The TTL monitor runs periodically, so expired tokens can linger
+    return await AccountToken.findOneAndDelete({
+        tokenHash: hashToken(token),
+        purpose,
+        expiresAt: { $gt: new Date() }
+    }).lean();
+};
+
+// Drops a user's outstanding tokens, e.g. after the email address changes
+const revokeAccountTokens = async (userId, purpose) => {
+    await AccountToken.deleteMany(purpose ? { user: userId, purpose } : { user: userId });
+};
+
+export { issueAccountToken, redeemAccountToken, revokeAccountTokens };
@@ -0,0 +1,242 @@
+/*
+ * Cascade Delete Module
+ *
+ * Removes documents together with everything that references them, so no
+ * orphaned comments, likes, playlist entries or watch history remain:
+ *   - Video: its comments (and their likes), its likes, playlist entries,
+ *     watch history entries and view records
+ *   - Comment: its likes. A top-level comment that still has replies is
+ *     kept as a "deleted" placeholder so the thread stays readable, and a
+ *     placeholder is removed once its last reply is gone
+ *   - Tweet: its likes, its comments and their likes
+ *   - User: all of the above for their content, plus their likes,
+ *     subscriptions (both directions), playlists, sessions, emailed
+ *     account tokens, lockout records and channel analytics. Analytics
+ *     events they caused on other channels are kept anonymously
+ *
+ * Counters on documents that survive (a video's commentsCount, a channel's
+ * subscribersCount, ...) are decremented in the same transaction.
+ *
+ * Database work runs inside a MongoDB transaction when the deployment
+ * supports one (replica set or sharded cluster). On a standalone server the
+ * same steps run without a session. Files in storage are deleted only after
+ * the database work succeeds, since they cannot be rolled back.
+ */
+
+import mongoose from "mongoose";
+import { Video } from "../models/video.models.js";
+import { Comment } from "../models/comment.models.js";
+import { Tweet } from "../models/tweet.models.js";
+import { Like } from "../models/like.models.js";
+import { Playlist } from "../models/playlist.models.js";
+import { Subscription } from "../models/subscription.models.js";
+import { User } from "../models/user.models.js";
+import { View } from "../models/view.models.js";
+import { Session } from "../models/session.models.js";
+import { AccountToken } from "../models/accountToken.models.js";
+import { LoginLockout } from "../models/loginLockout.models.js";
+import { ChannelEvent } from "../models/channelEvent.models.js";
+import { ChannelDailyStat } from "../models/channelDailyStat.models.js";
+import { deleteAsset } from "./storage/index.js";
+import { releaseLikes, releaseComments, releaseSubscriptions } from "./counters.js";
+
+// Standalone servers reject sessions with IllegalOperation (code 20)
+const isTransactionUnsupported = (error) =>
+    error?.code === 20 ||
+    /Transaction numbers are only allowed/i.test(error?.message || "");
+
+/**
+ * Runs work(session) inside a transaction, or without one when the
+ * deployment does not support transactions
+ *
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} - Whatever work resolves to
+ */
+const runInTransaction = async (work) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } catch (error) {
+        if (!isTransactionUnsupported(error)) throw error;
+
+        console.log("Transactions not supported, running cascade without one");
+        return await work(null);
+    } finally {
+        await session.endSession();
+    }
+};
+
+// Deletes comments and the likes on them
+const removeComments = async (commentIds, session) => {
+    if (!commentIds.length) return;
+
+    await releaseComments(commentIds, session);
+    await Like.deleteMany({ comment: { $in: commentIds } }, { session });
+    await Comment.deleteMany({ _id: { $in: commentIds } }, { session });
+};
+
+// Deletes comments on behalf of their authors, keeping threads intact:
+// comments with replies outside the set become placeholders, the rest are
+// removed, and placeholders left without replies are cleaned up
+const retireComments = async (commentIds, session) => {
+    if (!commentIds.length) return;
+
+    const threadParents = await Comment.distinct(
+        "parent",
+        { parent: { $in: commentIds }, _id: { $nin: commentIds } }
+    ).session(session);
+    const keepIds = new Set(threadParents.map((id) => id.toString()));
+    const removeIds = commentIds.filter((id) => !keepIds.has(id.toString()));
+
+    if (threadParents.length) {
+        await releaseComments(threadParents, session);
+        await Like.deleteMany({ comment: { $in: threadParents } }, { session });
+        await Comment.updateMany(
+            { _id: { $in: threadParents } },
+            { $set: { isDeleted: true, content: "", likesCount: 0 }, $unset: { owner: "" } },
+            { session }
+        );
+    }
+
+    const affectedParents = await Comment.distinct(
+        "parent",
+        { _id: { $in: removeIds }, parent: { $ne: null } }
+    ).session(session);
+    await removeComments(removeIds, session);
+
+    // Placeholders whose last reply was just removed
+    const emptyPlaceholders = [];
+    for (const parentId of affectedParents) {
+        const hasReplies = await Comment.exists({ parent: parentId }).session(session);
+        if (!hasReplies) emptyPlaceholders.push(parentId);
+    }
+    await Comment.deleteMany(
+        { _id: { $in: emptyPlaceholders }, isDeleted: true },
+        { session }
+    );
+};
+
+// Deletes tweets, their comments and the likes on both
+const removeTweets = async (tweetIds, session) => {
+    if (!tweetIds.length) return;
+
+    const comments = await Comment.find({ tweet: { $in: tweetIds } })
+        .select("_id")
+        .session(session);
+    await removeComments(comments.map((comment) => comment._id), session);
+
+    await Like.deleteMany({ tweet: { $in: tweetIds } }, { session });
+    await Tweet.deleteMany({ _id: { $in: tweetIds } }, { session });
+};
+
+// Deletes videos and everything that references them
+const removeVideos = async (videoIds, session) => {
+    if (!videoIds.length) return;
+
+    const comments = await Comment.find({ video: { $in: videoIds } })
+        .select("_id")
+        .session(session);
+    await removeComments(comments.map((comment) => comment._id), session);
+
+    await Like.deleteMany({ video: { $in: videoIds } }, { session });
+    await View.deleteMany({ video: { $in: videoIds } }, { session });
+    await Playlist.updateMany(
+        { videos: { $in: videoIds } },
+        { $pull: { videos: { $in: videoIds } } },
+        { session }
+    );
+    await User.updateMany(
+        { watchHistory: { $in: videoIds } },
+        { $pull: { watchHistory: { $in: videoIds } } },
+        { session }
+    );
+    await Video.deleteMany({ _id: { $in: videoIds } }, { session });
+};
+
+// Deletes storage files once the database work has committed
+const removeAssets = async (assets) => {
+    for (const asset of assets) {
+        await deleteAsset(asset);
+    }
+};
+
+const deleteVideoCascade = async (video) => {
+    await runInTransaction((session) => removeVideos([video._id], session));
+    await removeAssets([video.videoFileAsset, video.thumbnailAsset]);
+};
+
+const deleteCommentCascade = async (comment) => {
+    await runInTransaction((session) => retireComments([comment._id], session));
+};
+
+const deleteTweetCascade = async (tweet) => {
+    await runInTransaction((session) => removeTweets([tweet._id], session));
+};
+
+const deletePlaylistCascade = async (playlist) => {
+    // Playlists only hold references, nothing points back at them
+    await Playlist.deleteOne({ _id: playlist._id });
+};
+
+/**
+ * Deletes a user account and everything the user owns
+ *
+ * @param {Object} user - User document (needs _id and asset records)
+ */
+const deleteUserCascade = async (user) => {
+    const userId = user._id;
+
+    const videos = await runInTransaction(async (session) => {
+        const ownedVideos = await Video.find({ owner: userId })
+            .select("_id videoFileAsset thumbnailAsset")
+            .session(session);
+        await removeVideos(ownedVideos.map((video) => video._id), session);
+
+        // Other users' replies keep the user's comments as placeholders
+        const ownedComments = await Comment.find({ owner: userId })
+            .select("_id")
+            .session(session);
+        await retireComments(ownedComments.map((comment) => comment._id), session);
+
+        const ownedTweets = await Tweet.find({ owner: userId })
+            .select("_id")
+            .session(session);
+        await removeTweets(ownedTweets.map((tweet) => tweet._id), session);
+
+        await releaseLikes({ likedBy: userId }, session);
+        await Like.deleteMany({ likedBy: userId }, { session });
+        await View.deleteMany({ viewer: userId }, { session });
+        await Playlist.deleteMany({ owner: userId }, { session });
+        const userSubscriptions = { $or: [{ subscriber: userId }, { channel: userId }] };
+        await releaseSubscriptions(userSubscriptions, session);
+        await Subscription.deleteMany(userSubscriptions, { session });
+        await ChannelEvent.deleteMany({ channel: userId }, { session });
+        await ChannelDailyStat.deleteMany({ channel: userId }, { session });
+        await ChannelEvent.updateMany({ actor: userId }, { $unset: { actor: "" } }, { session });
+        await Session.deleteMany({ user: userId }, { session });
+        await AccountToken.deleteMany({ user: userId }, { session });
+        await LoginLockout.deleteMany({ user: userId }, { session });
+        await User.deleteOne({ _id: userId }, { session });
+
+        return ownedVideos;
+    });
+
+    await removeAssets([
+        user.avatarAsset,
+        user.coverImageAsset,
+        ...videos.flatMap((video) => [video.videoFileAsset, video.thumbnailAsset])
+    ]);
+};
+
+export {
+    runInTransaction,
+    deleteVideoCascade,
+    deleteCommentCascade,
+    deleteTweetCascade,
+    deletePlaylistCascade,
+    deleteUserCascade
+};
@@ -0,0 +1,244 @@
+/*
+ * Channel Analytics Module
+ *
+ * Views, like changes, comments and subscription changes are recorded as
+ * ChannelEvent documents, and each event also increments the matching
+ * ChannelDailyStat rollup (channel, video, UTC day). Dashboard series are
+ * read from the rollups only, so their cost depends on the number of days
+ * and videos in the range, not on the number of events.
+ *
+ * Recording never fails the request that triggered it: analytics are best
+ * effort and a failed write is only logged. rebuildDailyStats() recomputes
+ * the rollups from the retained events if they ever need repairing.
+ */
+
+import { ChannelEvent } from "../models/channelEvent.models.js";
+import { ChannelDailyStat } from "../models/channelDailyStat.models.js";
+import { Video } from "../models/video.models.js";
+import { ApiError } from "./apiError.js";
+import { CHANNEL_EVENT_FIELDS } from "../constants.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Series granularity; weeks start on Monday, everything is in UTC
+const ANALYTICS_INTERVALS = ["day", "week", "month"];
+
+// Longest series a single request may ask for
+const MAX_SERIES_PERIODS = 400;
+
+const DEFAULT_RANGE_DAYS = 30;
+
+const startOfUtcDay = (date) =>
+    new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Start of the period containing date
+const truncateToPeriod = (date, interval) => {
+    const day = startOfUtcDay(date);
+    if (interval === "week") {
+        const daysSinceMonday = (day.getUTCDay() + 6) % 7;
+        return new Date(day.getTime() - daysSinceMonday * DAY_MS);
+    }
+    if (interval === "month") {
+        return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+    }
+    return day;
+};
+
+// Start of the period following the one starting at periodStart
+const nextPeriod = (periodStart, interval) => {
+    if (interval === "month") {
+        return new Date(Date.UTC(periodStart.getUTCFullYear(), periodStart.getUTCMonth() + 1, 1));
+    }
+    return new Date(periodStart.getTime() + (interval === "week" ? 7 : 1) * DAY_MS);
+};
+
+// Increments the rollup row of an event, creating it when needed
+const incrementDailyStat = async ({ type, channel, video, occurredAt }) => {
+    const filter = { channel, video: video || null, day: startOfUtcDay(occurredAt) };
+    const update = { $inc: { [CHANNEL_EVENT_FIELDS[type]]: 1 } };
+
+    try {
+        await ChannelDailyStat.updateOne(filter, update, { upsert: true });
+    } catch (error) {
+        // Duplicate key: a concurrent event created the row first
+        if (error?.code !== 11000) throw error;
+        await ChannelDailyStat.updateOne(filter, update);
+    }
+};
+
+/**
+ * Records a channel event and updates its daily rollup
+ *
+ * @param {String} type - One of the CHANNEL_EVENT_FIELDS keys
+ * @param {ObjectId} channel - Channel (user) the event counts towards
+ * @param {ObjectId} video - Video involved, if any
+ * @param {ObjectId} actor - User who triggered the event
+ */
+const recordChannelEvent = async ({ type, channel, video, actor }) => {
+    if (!channel) return;
+
+    try {
+        const event = { type, channel, video, actor, occurredAt: new Date() };
+        await ChannelEvent.create(event);
+        await incrementDailyStat(event);
+    } catch (error) {
+        console.log("Failed to record channel event", type, error);
+    }
+};
+
+// Records an event on a video, looking up the channel that owns it
+const recordVideoEvent = async (type, videoId, actor) => {
+    try {
+        const video = await Video.findById(videoId).select("owner").lean();
+        if (video) {
+            await recordChannelEvent({ type, channel: video.owner, video: video._id, actor });
+        }
+    } catch (error) {
+        console.log("Failed to record channel event", type, error);
+    }
+};
+
+/**
+ * The channel's video a viewer watched last, recorded as the source of a
+ * subscription when they subscribe
+ *
+ * The watch history is most recent first and updated on every watch; the
+ * latest view event covers viewers who cleared their history.
+ *
+ * @param {Object} viewer - User document with _id and watchHistory
+ * @param {ObjectId} channelId
+ * @returns {Promise<ObjectId|null>}
+ */
+const findLastWatchedVideo = async (viewer, channelId) => {
+    const history = viewer.watchHistory || [];
+    if (history.length) {
+        const channelVideoIds = await Video.find({ _id: { $in: history }, owner: channelId }).distinct("_id");
+        const owned = new Set(channelVideoIds.map((id) => id.toString()));
+        const lastWatched = history.find((id) => owned.has(id.toString()));
+        if (lastWatched) return lastWatched;
+    }
+
+    const lastView = await ChannelEvent.findOne({ channel: channelId, actor: viewer._id, type: "view" })
+        .sort({ occurredAt: -1 })
+        .select("video")
+        .lean();
+    return lastView?.video || null;
+};
+
+/**
+ * Parses and validates an analytics date range from query parameters
+ *
+ * @param {String} from - Range start (defaults to 30 days before "to")
+ * @param {String} to - Range end (defaults to now)
+ * @param {String} interval - "day", "week" or "month"
+ * @returns {{ start: Date, end: Date, interval: String }} - start is aligned
+ *          to its period, end is exclusive
+ */
+const parseAnalyticsRange = ({ from, to, interval = "day" }) => {
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+        throw new ApiError(400, `interval must be one of: ${ANALYTICS_INTERVALS.join(", ")}`);
+    }
+
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+        throw new ApiError(400, "from and to must be valid dates");
+    }
+    if (start > end) {
+        throw new ApiError(400, "from must be before to");
+    }
+
+    // Whole periods: from the start of the first to the end of the last day
+    const range = {
+        start: truncateToPeriod(start, interval),
+        end: new Date(startOfUtcDay(end).getTime() + DAY_MS),
+        interval
+    };
+
+    if (buildPeriods(range).length > MAX_SERIES_PERIODS) {
+        throw new ApiError(400, `Range is too long for a ${interval} series, use a larger interval`);
+    }
+    return range;
+};
+
+// Start dates of every period in the range
+const buildPeriods = ({ start, end, interval }) => {
+    const periods = [];
+    for (let period = start; period < end && periods.length <= MAX_SERIES_PERIODS; period = nextPeriod(period, interval)) {
+        periods.push(period);
+    }
+    return periods;
+};
+
+/**
+ * Turns grouped rollup rows into a series with one entry per period,
+ * filling periods without activity with zeros
+ *
+ * @param {Array} rows - [{ _id: periodStart, views, likes, ... }]
+ * @param {Object} range - Result of parseAnalyticsRange
+ * @returns {Array} - [{ period, views, likes, unlikes, comments, subscribers, unsubscribers }]
+ */
+const fillSeries = (rows, range) => {
+    const byPeriod = new Map(rows.map((row) => [row._id.getTime(), row]));
+    const fields = Object.values(CHANNEL_EVENT_FIELDS);
+
+    return buildPeriods(range).map((period) => {
+        const row = byPeriod.get(period.getTime()) || {};
+        return {
+            period,
+            ...Object.fromEntries(fields.map((field) => [field, row[field] || 0]))
+        };
+    });
+};
+
+/**
+ * Recomputes the daily rollups for every day still covered by events
+ * Older rollups are left alone since their events have expired
+ *
+ * @returns {Promise<Number>} - Number of (row, event type) counts applied
+ */
+const rebuildDailyStats = async () => {
+    const oldest = await ChannelEvent.findOne().sort({ occurredAt: 1 }).select("occurredAt").lean();
+    if (!oldest) return 0;
+
+    // The oldest day may have partly expired, start at the first complete one
+    const since = new Date(startOfUtcDay(oldest.occurredAt).getTime() + DAY_MS);
+    await ChannelDailyStat.deleteMany({ day: { $gte: since } });
+
+    const rows = ChannelEvent.aggregate([
+        { $match: { occurredAt: { $gte: since } } },
+        {
+            $group: {
+                _id: {
+                    channel: "$channel",
+                    video: { $ifNull: ["$video", null] },
+                    day: { $dateTrunc: { date: "$occurredAt", unit: "day" } },
+                    type: "$type"
+                },
+                count: { $sum: 1 }
+            }
+        }
+    ]).allowDiskUse(true).cursor();
+
+    let applied = 0;
+    for await (const { _id, count } of rows) {
+        await ChannelDailyStat.updateOne(
+            { channel: _id.channel, video: _id.video, day: _id.day },
+            { $inc: { [CHANNEL_EVENT_FIELDS[_id.type]]: count } },
+            { upsert: true }
+        );
+        applied += 1;
+    }
+    return applied;
+};
+
+export {
+    ANALYTICS_INTERVALS,
+    recordChannelEvent,
+    recordVideoEvent,
+    findLastWatchedVideo,
+    parseAnalyticsRange,
+    fillSeries,
+    rebuildDailyStats
+};
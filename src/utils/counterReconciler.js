@@ -0,0 +1,121 @@
+/*
+ * Counter Reconciliation Module
+ *
+ * Recomputes every denormalized counter (see counters.js) from its source
+ * collection and fixes the documents that drifted. Counts are grouped in
+ * the database, then each target collection is streamed and only documents
+ * whose stored value differs are written, so a healthy database costs reads
+ * only.
+ *
+ * Runs from src/scripts/reconcileCounters.js, and periodically in the API
+ * process every COUNTER_RECONCILE_INTERVAL_MS (daily by default, 0 disables
+ * it).
+ */
+
+import { Video } from "../models/video.models.js";
+import { Comment } from "../models/comment.models.js";
+import { Tweet } from "../models/tweet.models.js";
+import { User } from "../models/user.models.js";
+import { Like } from "../models/like.models.js";
+import { Subscription } from "../models/subscription.models.js";
+import { LIKE_FILTER } from "./reactions.js";
+import { COUNTER_RECONCILE_INTERVAL_MS } from "../constants.js";
+
+const BATCH_SIZE = 500;
+
+// Live comments only; placeholders left by deleted threads don't count
+const LIVE_COMMENT_FILTER = { isDeleted: { $ne: true } };
+
+// Each counter: the model and path holding it, and how to count it from the
+// source collection (documents matching "match", grouped by "groupBy")
+const COUNTERS = [
+    { model: Video, path: "likesCount", source: Like, match: { video: { $exists: true }, ...LIKE_FILTER }, groupBy: "$video" },
+    { model: Video, path: "commentsCount", source: Comment, match: { video: { $exists: true }, ...LIVE_COMMENT_FILTER }, groupBy: "$video" },
+    { model: Tweet, path: "likesCount", source: Like, match: { tweet: { $exists: true }, ...LIKE_FILTER }, groupBy: "$tweet" },
+    { model: Tweet, path: "commentsCount", source: Comment, match: { tweet: { $exists: true }, ...LIVE_COMMENT_FILTER }, groupBy: "$tweet" },
+    { model: Comment, path: "likesCount", source: Like, match: { comment: { $exists: true }, ...LIKE_FILTER }, groupBy: "$comment" },
+    { model: Comment, path: "repliesCount", source: Comment, match: { parent: { $ne: null } }, groupBy: "$parent" },
+    { model: User, path: "subscribersCount", source: Subscription, match: {}, groupBy: "$channel" },
+    { model: User, path: "channelsSubscribedToCount", source: Subscription, match: {}, groupBy: "$subscriber" }
+];
+
+// Recomputes one counter, returns the number of documents corrected
+const reconcileCounter = async ({ model, path, source, match, groupBy }, { dryRun }) => {
+    const expected = new Map();
+    const groups = source.aggregate([
+        { $match: match },
+        { $group: { _id: groupBy, count: { $sum: 1 } } }
+    ]).allowDiskUse(true).cursor();
+
+    for await (const group of groups) {
+        if (group._id) expected.set(group._id.toString(), group.count);
+    }
+
+    let corrected = 0;
+    let operations = [];
+    const flush = async () => {
+        if (!dryRun && operations.length) {
+            await model.bulkWrite(operations, { ordered: false });
+        }
+        operations = [];
+    };
+
+    const documents = model.find().select(path).lean().cursor();
+    for await (const doc of documents) {
+        const count = expected.get(doc._id.toString()) || 0;
+        if (doc[path] === count) continue;
+
+        corrected += 1;
+        operations.push({
+            updateOne: {
+                filter: { _id: doc._id },
+                update: { $set: { [path]: count } },
+                timestamps: false
+            }
+        });
+        if (operations.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    return corrected;
+};
+
+/**
+ * Recomputes all counters from the source collections
+ *
+ * @param {Boolean} dryRun - Only report what would change
+ * @returns {Promise<Object>} - Corrected documents per "Model.path"
+ */
+const reconcileCounters = async ({ dryRun = false } = {}) => {
+    const report = {};
+    for (const counter of COUNTERS) {
+        report[`${counter.model.modelName}.${counter.path}`] = await reconcileCounter(counter, { dryRun });
+    }
+    return report;
+};
+
+/**
+ * Starts the periodic reconciliation in this process
+ * Runs never overlap: a slow run delays the next one instead
+ */
+const startCounterReconciler = () => {
+    const interval = Number(process.env.COUNTER_RECONCILE_INTERVAL_MS ?? COUNTER_RECONCILE_INTERVAL_MS);
+    if (!interval) return;
+
+    const run = async () => {
+        try {
+            const report = await reconcileCounters();
+            const corrected = Object.values(report).reduce((sum, count) => sum + count, 0);
+            if (corrected) {
+                console.log("Counter reconciliation corrected documents:", report);
+            }
+        } catch (error) {
+            console.log("Counter reconciliation failed", error);
+        }
+        setTimeout(run, interval).unref();
+    };
+
+    setTimeout(run, interval).unref();
+};
+
+export { reconcileCounters, startCounterReconciler };
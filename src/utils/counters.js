@@ -0,0 +1,165 @@
+/*
+ * Engagement Counters Module
+ *
+ * Videos, comments, tweets and users carry denormalized counters so that
+ * listings don't have to join the likes, comments and subscriptions
+ * collections:
+ *   - Video, Tweet: likesCount, commentsCount (live comments, replies included)
+ *   - Comment: likesCount, repliesCount
+ *   - User: subscribersCount, channelsSubscribedToCount
+ *
+ * Write paths adjust them with $inc right after the write that changes the
+ * source collection. Only "like" reactions count towards likesCount, and
+ * "deleted" comment placeholders don't count as comments. Anything that
+ * drifts (a crash between the two writes, manual edits) is repaired by
+ * counterReconciler.js, which recomputes every counter from the source.
+ */
+
+import { Video } from "../models/video.models.js";
+import { Comment } from "../models/comment.models.js";
+import { Tweet } from "../models/tweet.models.js";
+import { User } from "../models/user.models.js";
+import { Like } from "../models/like.models.js";
+import { Subscription } from "../models/subscription.models.js";
+
+// Models a like or comment can point at, keyed by the referencing path
+const TARGET_MODELS = { video: Video, comment: Comment, tweet: Tweet };
+
+// Documents written before reactions existed count as likes
+const isLikeReaction = (reaction) => !reaction || reaction === "like";
+
+// Adds delta to the counter of every id in deltas (a Map of id => delta)
+// Counter updates don't touch updatedAt, which tracks content edits
+const applyCounterDeltas = async (model, path, deltas, session) => {
+    const operations = [...deltas]
+        .filter(([, delta]) => delta !== 0)
+        .map(([id, delta]) => ({
+            updateOne: {
+                filter: { _id: id },
+                update: { $inc: { [path]: delta } },
+                timestamps: false
+            }
+        }));
+
+    if (!operations.length) return;
+    await model.bulkWrite(operations, { session });
+};
+
+// Tallies documents into a Map of referenced id => -count
+const tallyRemovals = (docs, path) => {
+    const deltas = new Map();
+    docs.forEach((doc) => {
+        const id = doc[path]?.toString();
+        if (id) deltas.set(id, (deltas.get(id) || 0) - 1);
+    });
+    return deltas;
+};
+
+/**
+ * Adjusts the likesCount of a video, comment or tweet
+ *
+ * @param {String} field - "video", "comment" or "tweet"
+ * @param {ObjectId|String} targetId - Target document id
+ * @param {Number} delta - Amount to add (negative to remove)
+ */
+const adjustLikesCount = async (field, targetId, delta, session = null) => {
+    if (!delta) return;
+
+    await TARGET_MODELS[field].updateOne(
+        { _id: targetId },
+        { $inc: { likesCount: delta } },
+        { session, timestamps: false }
+    );
+};
+
+/**
+ * Adjusts the counters a comment contributes to: commentsCount of its video
+ * or tweet and, for replies, repliesCount of the parent comment
+ *
+ * @param {Object} comment - Comment document (video, tweet, parent)
+ * @param {Number} delta - 1 when created, -1 when removed
+ */
+const adjustCommentCounts = async (comment, delta, session = null) => {
+    const field = comment.tweet ? "tweet" : "video";
+    const options = { session, timestamps: false };
+
+    await TARGET_MODELS[field].updateOne(
+        { _id: comment[field] },
+        { $inc: { commentsCount: delta } },
+        options
+    );
+
+    if (comment.parent) {
+        await Comment.updateOne(
+            { _id: comment.parent },
+            { $inc: { repliesCount: delta } },
+            options
+        );
+    }
+};
+
+/**
+ * Adjusts subscribersCount of the channel and channelsSubscribedToCount of
+ * the subscriber
+ *
+ * @param {ObjectId|String} subscriberId - Subscribing user
+ * @param {ObjectId|String} channelId - Channel user
+ * @param {Number} delta - 1 when subscribing, -1 when unsubscribing
+ */
+const adjustSubscriptionCounts = async (subscriberId, channelId, delta, session = null) => {
+    const options = { session, timestamps: false };
+
+    await User.updateOne({ _id: channelId }, { $inc: { subscribersCount: delta } }, options);
+    await User.updateOne({ _id: subscriberId }, { $inc: { channelsSubscribedToCount: delta } }, options);
+};
+
+// Decrements likesCount on the targets of the likes matching filter
+// Call before deleting those likes
+const releaseLikes = async (filter, session) => {
+    const likes = await Like.find(filter)
+        .select("video comment tweet reaction")
+        .session(session)
+        .lean();
+    const counted = likes.filter((like) => isLikeReaction(like.reaction));
+
+    for (const [field, model] of Object.entries(TARGET_MODELS)) {
+        await applyCounterDeltas(model, "likesCount", tallyRemovals(counted, field), session);
+    }
+};
+
+// Decrements the counters the given comments contribute to
+// Call before deleting them or turning them into placeholders
+const releaseComments = async (commentIds, session) => {
+    if (!commentIds.length) return;
+
+    const comments = await Comment.find({ _id: { $in: commentIds }, isDeleted: { $ne: true } })
+        .select("video tweet parent")
+        .session(session)
+        .lean();
+
+    await applyCounterDeltas(Video, "commentsCount", tallyRemovals(comments, "video"), session);
+    await applyCounterDeltas(Tweet, "commentsCount", tallyRemovals(comments, "tweet"), session);
+    await applyCounterDeltas(Comment, "repliesCount", tallyRemovals(comments, "parent"), session);
+};
+
+// Decrements both users' counters for the subscriptions matching filter
+// Call before deleting those subscriptions
+const releaseSubscriptions = async (filter, session) => {
+    const subscriptions = await Subscription.find(filter)
+        .select("subscriber channel")
+        .session(session)
+        .lean();
+
+    await applyCounterDeltas(User, "subscribersCount", tallyRemovals(subscriptions, "channel"), session);
+    await applyCounterDeltas(User, "channelsSubscribedToCount", tallyRemovals(subscriptions, "subscriber"), session);
+};
+
+export {
+    isLikeReaction,
+    adjustLikesCount,
+    adjustCommentCounts,
+    adjustSubscriptionCounts,
+    releaseLikes,
+    releaseComments,
+    releaseSubscriptions
+};
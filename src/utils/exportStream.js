@@ -0,0 +1,116 @@
+/*
+ * Export Streaming Module
+ *
+ * Streams rows from a MongoDB cursor to the response as CSV or NDJSON, one
+ * row at a time. Writes wait for the socket to drain, so memory use stays
+ * flat however large the export is, and reading stops (closing the cursor)
+ * as soon as the client disconnects.
+ *
+ * CSV cells that a spreadsheet would evaluate as a formula (starting with
+ * =, +, - or @) are prefixed with a quote.
+ */
+
+import { ApiError } from "./apiError.js";
+
+const EXPORT_FORMATS = {
+    csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+    ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson" }
+};
+
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+// Validates the requested export format
+const parseExportFormat = (format = "csv") => {
+    if (!EXPORT_FORMATS[format]) {
+        throw new ApiError(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+    }
+    return format;
+};
+
+const toCsvCell = (value) => {
+    if (value === undefined || value === null) return "";
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => `${values.map(toCsvCell).join(",")}\r\n`;
+
+const toJsonLine = (columns, values) =>
+    `${JSON.stringify(Object.fromEntries(columns.map((column, i) => [column.header, values[i]])))}\n`;
+
+/**
+ * Streams a cursor to the response
+ *
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {String} options.format - "csv" or "ndjson"
+ * @param {String} options.filename - Download name without extension
+ * @param {Array} options.columns - [{ header, value: (doc) => cellValue }]
+ * @param {Object} options.cursor - Mongoose query or aggregation cursor
+ */
+const streamExport = async (res, { format, filename, columns, cursor }) => {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const safeName = filename.replace(/[^\w.-]+/g, "_");
+    const rows = cursor[Symbol.asyncIterator]();
+    let next = { done: false };
+
+    // Resolves once the chunk is flushed, or the client has gone away
+    const write = (chunk) => new Promise((resolve) => {
+        if (res.write(chunk)) return resolve();
+
+        const done = () => {
+            res.off("drain", done);
+            res.off("close", done);
+            resolve();
+        };
+        res.on("drain", done);
+        res.on("close", done);
+    });
+
+    try {
+        // Runs the query before anything is sent, so a failure to open the
+        // cursor still gets the usual error response
+        next = await rows.next();
+
+        res.status(200);
+        res.setHeader("Content-Type", contentType);
+        res.setHeader("Content-Disposition", `attachment; filename="${safeName}.${extension}"`);
+        res.setHeader("Cache-Control", "no-store");
+
+        if (format === "csv") {
+            await write(toCsvLine(columns.map((column) => column.header)));
+        }
+
+        while (!next.done && !res.destroyed) {
+            const values = columns.map((column) => column.value(next.value) ?? null);
+            await write(format === "csv"
+                ? toCsvLine(values)
+                : toJsonLine(columns, values));
+
+            next = await rows.next();
+        }
+        res.end();
+    } catch (error) {
+        if (!res.headersSent) {
+            for (const header of ["Content-Type", "Content-Disposition", "Cache-Control"]) {
+                res.removeHeader(header);
+            }
+            throw error;
+        }
+
+        // Once rows are sent the status can't change, so cut the download short
+        console.log("Export stream failed", error);
+        res.destroy(error);
+    } finally {
+        // Closes the cursor when reading stopped early
+        if (!next.done) {
+            await cursor.close?.().catch(() => {});
+        }
+    }
+};
+
+export { EXPORT_FORMATS, parseExportFormat, streamExport };
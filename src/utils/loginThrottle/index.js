@@ -0,0 +1,151 @@
+/*
+ * Login Throttle Module
+ *
+ * Slows down and then stops password guessing. Failed sign-ins are counted
+ * per account name and per client IP:
+ *   - after a few free failures each one blocks further attempts for a
+ *     delay that doubles every time (exponential backoff)
+ *   - enough failures lock the account name or IP for LOCKOUT_MS and write
+ *     a LoginLockout audit record
+ *   - a successful sign-in clears the account's count (not the IP's, or one
+ *     valid account would let an attacker reset it)
+ *
+ * Accounts are keyed by the name that was typed, whether or not it exists,
+ * so throttling behaves identically for unknown accounts and can't reveal
+ * which ones are registered.
+ *
+ * Counters live in a pluggable store chosen with LOGIN_THROTTLE_STORE:
+ *   - "memory" (default): per process, for a single instance
+ *   - "mongo": shared through MongoDB, for several instances
+ *
+ * Every store implements the same interface:
+ *   get(key, now) -> { failures, blockedUntil } | null
+ *   increment(key, windowMs, now) -> { failures }
+ *   block(key, until, { resetFailures, windowMs })
+ *   reset(key)
+ */
+
+import { createMemoryStore } from "./memory.store.js";
+import { createMongoStore } from "./mongo.store.js";
+import { LoginLockout } from "../../models/loginLockout.models.js";
+import { LOGIN_THROTTLE } from "../../constants.js";
+
+const drivers = {
+    memory: createMemoryStore,
+    mongo: createMongoStore
+};
+
+const stores = {};
+
+// Creates the configured store on first use
+const getStore = (driver = (process.env.LOGIN_THROTTLE_STORE || "memory").toLowerCase()) => {
+    if (!stores[driver]) {
+        const createStore = drivers[driver];
+
+        if (!createStore) {
+            throw new Error(`Unknown login throttle store "${driver}"`);
+        }
+        stores[driver] = createStore();
+    }
+    return stores[driver];
+};
+
+/**
+ * Throttle keys of a sign-in attempt
+ *
+ * @param {Object} attempt
+ * @param {String} attempt.account - Account name as typed (email, username or user id)
+ * @param {String} attempt.ip - Client IP
+ * @returns {Array} - [{ scope, identifier, key }]
+ */
+const loginThrottleKeys = ({ account, ip }) => [
+    { scope: "account", identifier: account, key: `account:${account}` },
+    { scope: "ip", identifier: ip, key: `ip:${ip}` }
+];
+
+// Delay before the next attempt after this many failures, 0 while still free
+const backoffDelay = (failures, { freeAttempts }) => {
+    if (failures <= freeAttempts) return 0;
+
+    const delay = LOGIN_THROTTLE.BASE_DELAY_MS * 2 ** (failures - freeAttempts - 1);
+    return Math.min(delay, LOGIN_THROTTLE.MAX_DELAY_MS);
+};
+
+/**
+ * Checks whether any key of an attempt is blocked
+ *
+ * @returns {Promise<Number>} - Milliseconds until attempts are allowed, 0 if now
+ */
+const getLoginRetryDelay = async (keys, now = Date.now()) => {
+    const store = getStore();
+    let retryAfter = 0;
+
+    for (const { key } of keys) {
+        const entry = await store.get(key, now);
+        if (entry?.blockedUntil > now) {
+            retryAfter = Math.max(retryAfter, entry.blockedUntil - now);
+        }
+    }
+    return retryAfter;
+};
+
+/**
+ * Counts a failed attempt against every key, backing off or locking out
+ *
+ * @param {Array} keys - From loginThrottleKeys
+ * @param {Object} context - { user, ip, userAgent } recorded with lockouts
+ */
+const recordLoginFailure = async (keys, context = {}, now = Date.now()) => {
+    const store = getStore();
+    const windowMs = LOGIN_THROTTLE.FAILURE_WINDOW_MS;
+
+    for (const { scope, identifier, key } of keys) {
+        const policy = LOGIN_THROTTLE.SCOPES[scope];
+        const { failures } = await store.increment(key, windowMs, now);
+
+        if (failures >= policy.lockoutAfter) {
+            // Counting starts over once the lockout ends
+            const lockedUntil = now + LOGIN_THROTTLE.LOCKOUT_MS;
+            await store.block(key, lockedUntil, { resetFailures: true, windowMs });
+
+            try {
+                await LoginLockout.create({
+                    scope,
+                    identifier,
+                    user: context.user,
+                    ip: context.ip,
+                    userAgent: context.userAgent,
+                    failures,
+                    lockedUntil: new Date(lockedUntil)
+                });
+            } catch (error) {
+                console.log("Failed to record login lockout", error);
+            }
+            console.log(`Login locked for ${scope} ${identifier} until ${new Date(lockedUntil).toISOString()}`);
+            continue;
+        }
+
+        const delay = backoffDelay(failures, policy);
+        if (delay) {
+            await store.block(key, now + delay, { windowMs });
+        }
+    }
+};
+
+// Forgets the failures of the account after a successful sign-in
+const resetLoginFailures = async (keys) => {
+    const store = getStore();
+
+    for (const { scope, key } of keys) {
+        if (scope === "account") {
+            await store.reset(key);
+        }
+    }
+};
+
+export {
+    loginThrottleKeys,
+    getLoginRetryDelay,
+    recordLoginFailure,
+    resetLoginFailures
+};
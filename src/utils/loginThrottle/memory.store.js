@@ -0,0 +1,65 @@
+/*
+ * In-Memory Login Throttle Store
+ *
+ * Keeps failure counters in a Map. Fast and dependency-free, but every API
+ * process counts on its own and counts are lost on restart, so use the
+ * mongo store when running more than one instance.
+ */
+
+// Expired entries are swept once the map grows past this size
+const SWEEP_THRESHOLD = 10000;
+
+const createMemoryStore = () => {
+    const entries = new Map();
+
+    const sweep = (now) => {
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+    };
+
+    const live = (key, now) => {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt <= now) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    };
+
+    return {
+        name: "memory",
+
+        get: async (key, now = Date.now()) => {
+            const entry = live(key, now);
+            return entry ? { failures: entry.failures, blockedUntil: entry.blockedUntil } : null;
+        },
+
+        increment: async (key, windowMs, now = Date.now()) => {
+            if (entries.size > SWEEP_THRESHOLD) sweep(now);
+
+            const entry = live(key, now) || { failures: 0, blockedUntil: 0 };
+            entry.failures = entry.lastFailureAt > now - windowMs ? entry.failures + 1 : 1;
+            entry.lastFailureAt = now;
+            entry.expiresAt = Math.max(entry.blockedUntil, now) + windowMs;
+            entries.set(key, entry);
+
+            return { failures: entry.failures };
+        },
+
+        block: async (key, until, { resetFailures = false, windowMs }) => {
+            const entry = entries.get(key);
+            if (!entry) return;
+
+            entry.blockedUntil = until;
+            entry.expiresAt = until + windowMs;
+            if (resetFailures) entry.failures = 0;
+        },
+
+        reset: async (key) => {
+            entries.delete(key);
+        }
+    };
+};
+
+export { createMemoryStore };
@@ -0,0 +1,78 @@
+/*
+ * MongoDB Login Throttle Store
+ *
+ * Keeps failure counters in the loginattempts collection, shared by every
+ * API instance. Counting is a single atomic update, so concurrent attempts
+ * are never lost; a TTL index removes counters once they have expired.
+ */
+
+import { LoginAttempt } from "../../models/loginAttempt.models.js";
+
+const createMongoStore = () => ({
+    name: "mongo",
+
+    get: async (key, now = Date.now()) => {
+        const entry = await LoginAttempt.findOne({ key }).lean();
+
+        // The TTL monitor runs periodically, so expired counters can linger
+        if (!entry || entry.expiresAt.getTime() <= now) return null;
+        return { failures: entry.failures, blockedUntil: entry.blockedUntil?.getTime() || 0 };
+    },
+
+    increment: async (key, windowMs, now = Date.now()) => {
+        const windowStart = new Date(now - windowMs);
+
+        // Failures older than the window start a new count
+        const update = [{
+            $set: {
+                failures: {
+                    $cond: [
+                        { $gt: [{ $ifNull: ["$lastFailureAt", new Date(0)] }, windowStart] },
+                        { $add: [{ $ifNull: ["$failures", 0] }, 1] },
+                        1
+                    ]
+                },
+                lastFailureAt: new Date(now),
+                expiresAt: {
+                    $add: [{ $max: [{ $ifNull: ["$blockedUntil", new Date(0)] }, new Date(now)] }, windowMs]
+                }
+            }
+        }];
+
+        const increment = () => LoginAttempt.findOneAndUpdate(
+            { key },
+            update,
+            { upsert: true, new: true, lean: true }
+        );
+
+        try {
+            const entry = await increment();
+            return { failures: entry.failures };
+        } catch (error) {
+            // Duplicate key: a concurrent attempt created the counter first
+            if (error?.code !== 11000) throw error;
+
+            const entry = await increment();
+            return { failures: entry.failures };
+        }
+    },
+
+    block: async (key, until, { resetFailures = false, windowMs }) => {
+        await LoginAttempt.updateOne(
+            { key },
+            {
+                $set: {
+                    blockedUntil: new Date(until),
+                    expiresAt: new Date(until + windowMs),
+                    ...(resetFailures ? { failures: 0 } : {})
+                }
+            }
+        );
+    },
+
+    reset: async (key) => {
+        await LoginAttempt.deleteOne({ key });
+    }
+});
+
+export { createMongoStore };
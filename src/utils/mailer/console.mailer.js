@@ -0,0 +1,17 @@
+/*
+ * Console Mail Transport
+ *
+ * Prints messages to the server log instead of delivering them, so links in
+ * verification and reset emails can be followed during development.
+ */
+
+const createConsoleMailer = () => ({
+    name: "console",
+
+    send: async ({ from, to, subject, text }) => {
+        console.log(`Mail from ${from} to ${to}: ${subject}\n${text}`);
+        return { delivered: false };
+    }
+});
+
+export { createConsoleMailer };
@@ -0,0 +1,41 @@
+/*
+ * File Mail Transport
+ *
+ * Writes each message to its own .eml file, for local testing and CI where
+ * tests read the message (and the link in it) back from disk.
+ *
+ * Configuration:
+ *   MAIL_FILE_DIR - Target directory (default: ./tmp/mail)
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const createFileMailer = () => {
+    const dir = path.resolve(process.env.MAIL_FILE_DIR || "./tmp/mail");
+
+    return {
+        name: "file",
+
+        send: async ({ from, to, subject, text, html }) => {
+            await fs.promises.mkdir(dir, { recursive: true });
+
+            // Timestamp first so files sort in sending order
+            const fileName = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`;
+            const filePath = path.join(dir, fileName);
+            const headers = [
+                `From: ${from}`,
+                `To: ${to}`,
+                `Subject: ${subject}`,
+                `Date: ${new Date().toUTCString()}`,
+                `Content-Type: ${html ? "text/html" : "text/plain"}; charset=utf-8`
+            ];
+
+            await fs.promises.writeFile(filePath, `${headers.join("\r\n")}\r\n\r\n${html || text}\r\n`);
+            return { path: filePath };
+        }
+    };
+};
+
+export { createFileMailer };
@@ -0,0 +1,79 @@
+/*
+ * Mailer Module
+ *
+ * Single entry point for sending email. The transport is chosen with the
+ * MAIL_DRIVER environment variable:
+ *   - "console" (default outside production): prints messages to the
+ *     server log, links and tokens included
+ *   - "file": writes each message to a file, for local testing and CI
+ *   - "smtp": delivers through an SMTP server
+ *
+ * Every transport implements the same interface:
+ *   send({ from, to, subject, text, html }) -> transport-specific result
+ *
+ * Messages are sent from MAIL_FROM (default: "Play Sphere <no-reply@localhost>").
+ *
+ * In production MAIL_DRIVER has to be set; the server refuses to start
+ * rather than log password-reset links.
+ */
+
+import { createConsoleMailer } from "./console.mailer.js";
+import { createFileMailer } from "./file.mailer.js";
+import { createSmtpMailer } from "./smtp.mailer.js";
+
+const drivers = {
+    console: createConsoleMailer,
+    file: createFileMailer,
+    smtp: createSmtpMailer
+};
+
+const transports = {};
+
+// The configured driver name; only development falls back to the console
+const getMailDriver = () => {
+    if (process.env.MAIL_DRIVER) return process.env.MAIL_DRIVER.toLowerCase();
+
+    if (process.env.NODE_ENV === "production") {
+        throw new Error("MAIL_DRIVER must be set in production (file or smtp)");
+    }
+    return "console";
+};
+
+// Checks the mail configuration, call once at startup
+const assertMailerConfigured = () => {
+    const driver = getMailDriver();
+    if (!drivers[driver]) {
+        throw new Error(`Unknown mail driver "${driver}"`);
+    }
+};
+
+// Creates the configured transport on first use
+const getMailer = (driver = getMailDriver()) => {
+    if (!transports[driver]) {
+        const createMailer = drivers[driver];
+
+        if (!createMailer) {
+            throw new Error(`Unknown mail driver "${driver}"`);
+        }
+        transports[driver] = createMailer();
+    }
+    return transports[driver];
+};
+
+/**
+ * Sends an email through the configured transport
+ *
+ * @param {Object} message
+ * @param {String} message.to - Recipient address
+ * @param {String} message.subject - Subject line
+ * @param {String} message.text - Plain-text body
+ * @param {String} message.html - Optional HTML body
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+    const mailer = getMailer();
+    const from = process.env.MAIL_FROM || "Play Sphere <no-reply@localhost>";
+
+    return await mailer.send({ from, to, subject, text, html });
+};
+
+export { sendMail, assertMailerConfigured };
@@ -0,0 +1,43 @@
+/*
+ * SMTP Mail Transport
+ *
+ * Delivers messages through an SMTP server with nodemailer.
+ *
+ * Configuration:
+ *   SMTP_HOST   - Server host name (required)
+ *   SMTP_PORT   - Port (default: 587)
+ *   SMTP_SECURE - "true" for implicit TLS, usually with port 465
+ *                 (default: false, STARTTLS is used when offered)
+ *   SMTP_USER   - User name, if the server requires authentication
+ *   SMTP_PASS   - Password
+ */
+
+import nodemailer from "nodemailer";
+
+const createSmtpMailer = () => {
+    const host = process.env.SMTP_HOST;
+    if (!host) {
+        throw new Error("SMTP_HOST must be set to use the smtp mail driver");
+    }
+
+    const transporter = nodemailer.createTransport({
+        host,
+        port: Number(process.env.SMTP_PORT || 587),
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+            ? {
+                  user: process.env.SMTP_USER,
+                  pass: process.env.SMTP_PASS
+              }
+            : undefined
+    });
+
+    return {
+        name: "smtp",
+
+        send: async ({ from, to, subject, text, html }) =>
+            await transporter.sendMail({ from, to, subject, text, html })
+    };
+};
+
+export { createSmtpMailer };
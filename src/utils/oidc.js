@@ -0,0 +1,256 @@
+/*
+ * OpenID Connect Client Module
+ *
+ * Signs users in with an external identity provider using the
+ * authorization-code flow with PKCE:
+ *   1. the API redirects the browser to the provider's authorization
+ *      endpoint with a random state, nonce and S256 code challenge
+ *   2. the provider redirects back with a code, which is exchanged (with the
+ *      code verifier) for tokens at the token endpoint
+ *   3. the ID token's signature is checked against the provider's JWKS, as
+ *      are its issuer, audience, expiry and nonce
+ *
+ * State, nonce and code verifier travel in a signed, short-lived, HTTP-only
+ * cookie, so no server-side storage is needed between the two requests.
+ *
+ * Endpoints come from the provider's discovery document, so any compliant
+ * provider works, including the local mock in src/scripts/mockOidcProvider.js.
+ *
+ * Configuration:
+ *   OIDC_ISSUER        - Issuer URL, e.g. https://accounts.google.com (required)
+ *   OIDC_CLIENT_ID     - Client id registered with the provider (required)
+ *   OIDC_CLIENT_SECRET - Client secret, omitted for public clients
+ *   OIDC_REDIRECT_URI  - Callback URL registered with the provider
+ *                        (default: http://localhost:<PORT>/api/v1/users/oidc/callback)
+ *   OIDC_SCOPES        - Requested scopes (default: "openid email profile")
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { ApiError } from "./apiError.js";
+
+const STATE_AUDIENCE = "oidc-login";
+const STATE_TTL_SECONDS = 10 * 60;
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Signature algorithms accepted for ID tokens (asymmetric only)
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"];
+
+let discovery = null;
+let jwks = null;
+
+// Provider settings, or null when OIDC login isn't configured
+const getOidcConfig = () => {
+    const issuer = process.env.OIDC_ISSUER?.replace(/\/+$/, "");
+    const clientId = process.env.OIDC_CLIENT_ID;
+    if (!issuer || !clientId) return null;
+
+    return {
+        issuer,
+        clientId,
+        clientSecret: process.env.OIDC_CLIENT_SECRET,
+        redirectUri: process.env.OIDC_REDIRECT_URI ||
+            `http://localhost:${process.env.PORT || 8001}/api/v1/users/oidc/callback`,
+        scopes: process.env.OIDC_SCOPES || "openid email profile"
+    };
+};
+
+const requireOidcConfig = () => {
+    const config = getOidcConfig();
+    if (!config) {
+        throw new ApiError(404, "Single sign-on is not configured");
+    }
+    return config;
+};
+
+const fetchJson = async (url, options = {}) => {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok) {
+        const reason = body?.error_description || body?.error || response.statusText;
+        throw new ApiError(502, `Identity provider request failed: ${reason}`);
+    }
+    return body;
+};
+
+// The provider's discovery document, cached for DISCOVERY_TTL_MS
+const discover = async (config) => {
+    if (discovery?.issuer === config.issuer && Date.now() - discovery.loadedAt < DISCOVERY_TTL_MS) {
+        return discovery.document;
+    }
+
+    const document = await fetchJson(`${config.issuer}/.well-known/openid-configuration`);
+    if (document.issuer?.replace(/\/+$/, "") !== config.issuer) {
+        throw new ApiError(502, "Identity provider discovery document has a different issuer");
+    }
+
+    discovery = { issuer: config.issuer, document, loadedAt: Date.now() };
+    return document;
+};
+
+// Public key for a key id, refreshing the cached key set once if it's unknown
+const getSigningKey = async (document, kid) => {
+    const findKey = () => jwks?.uri === document.jwks_uri
+        ? jwks.keys.find((key) => !kid || key.kid === kid)
+        : undefined;
+
+    let jwk = findKey();
+    if (!jwk) {
+        const { keys = [] } = await fetchJson(document.jwks_uri);
+        jwks = { uri: document.jwks_uri, keys };
+        jwk = findKey();
+    }
+    if (!jwk) {
+        throw new ApiError(502, "Identity provider signing key not found");
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+/**
+ * Builds the authorization redirect
+ *
+ * @param {Object} options
+ * @param {String} options.linkUserId - Set when a signed-in user links a provider
+ * @param {String} options.loginHint - Account to preselect at the provider
+ * @returns {Promise<Object>} - { url, stateToken } where stateToken goes into
+ *                              the state cookie
+ */
+const createAuthorizationRequest = async ({ linkUserId, loginHint } = {}) => {
+    const config = requireOidcConfig();
+    const document = await discover(config);
+
+    const state = crypto.randomBytes(16).toString("base64url");
+    const nonce = crypto.randomBytes(16).toString("base64url");
+    const codeVerifier = crypto.randomBytes(32).toString("base64url");
+    const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+    const url = new URL(document.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: "code",
+        client_id: config.clientId,
+        redirect_uri: config.redirectUri,
+        scope: config.scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256",
+        ...(loginHint ? { login_hint: loginHint } : {})
+    }).toString();
+
+    const stateToken = jwt.sign(
+        { state, nonce, codeVerifier, ...(linkUserId ? { linkUserId: linkUserId.toString() } : {}) },
+        process.env.ACCESS_TOKEN_SECRET,
+        { expiresIn: STATE_TTL_SECONDS, audience: STATE_AUDIENCE }
+    );
+
+    return { url: url.toString(), stateToken };
+};
+
+/**
+ * Finishes the flow on the callback request
+ *
+ * @param {Object} params
+ * @param {String} params.code - Authorization code from the callback query
+ * @param {String} params.state - State from the callback query
+ * @param {String} params.stateToken - Value of the state cookie
+ * @returns {Promise<Object>} - Verified identity { issuer, subject, email,
+ *                              emailVerified, name, preferredUsername, picture }
+ *                              and the linkUserId the flow was started with
+ */
+const completeAuthorization = async ({ code, state, stateToken }) => {
+    const config = requireOidcConfig();
+
+    let saved;
+    try {
+        saved = jwt.verify(stateToken || "", process.env.ACCESS_TOKEN_SECRET, { audience: STATE_AUDIENCE });
+    } catch (error) {
+        throw new ApiError(400, "Sign-in request has expired, please try again");
+    }
+
+    const expectedState = Buffer.from(saved.state);
+    const receivedState = Buffer.from(String(state ?? ""));
+    if (expectedState.length !== receivedState.length || !crypto.timingSafeEqual(expectedState, receivedState)) {
+        throw new ApiError(400, "Sign-in state does not match");
+    }
+    if (!code) {
+        throw new ApiError(400, "Authorization code is missing");
+    }
+
+    const document = await discover(config);
+
+    const headers = { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" };
+    const form = new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: config.redirectUri,
+        code_verifier: saved.codeVerifier,
+        client_id: config.clientId
+    });
+
+    if (config.clientSecret) {
+        const methods = document.token_endpoint_auth_methods_supported || ["client_secret_basic"];
+        if (methods.includes("client_secret_basic")) {
+            const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+            headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+        } else {
+            form.set("client_secret", config.clientSecret);
+        }
+    }
+
+    const tokens = await fetchJson(document.token_endpoint, { method: "POST", headers, body: form });
+    if (!tokens.id_token) {
+        throw new ApiError(502, "Identity provider did not return an ID token");
+    }
+
+    const { header } = jwt.decode(tokens.id_token, { complete: true }) || {};
+    if (!header || !ID_TOKEN_ALGORITHMS.includes(header.alg)) {
+        throw new ApiError(502, "ID token is malformed or uses an unsupported algorithm");
+    }
+
+    let claims;
+    try {
+        claims = jwt.verify(tokens.id_token, await getSigningKey(document, header.kid), {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            issuer: document.issuer,
+            audience: config.clientId
+        });
+    } catch (error) {
+        throw new ApiError(401, `ID token rejected: ${error.message}`);
+    }
+
+    if (claims.nonce !== saved.nonce) {
+        throw new ApiError(401, "ID token nonce does not match");
+    }
+
+    // Some providers only put profile claims in the userinfo response
+    if ((!claims.email || !claims.picture) && document.userinfo_endpoint && tokens.access_token) {
+        const userinfo = await fetchJson(document.userinfo_endpoint, {
+            headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: "application/json" }
+        }).catch(() => ({}));
+
+        if (userinfo.sub === claims.sub) {
+            claims = { ...userinfo, ...claims };
+        }
+    }
+
+    return {
+        issuer: claims.iss,
+        subject: claims.sub,
+        email: claims.email?.toLowerCase(),
+        emailVerified: claims.email_verified === true || claims.email_verified === "true",
+        name: claims.name,
+        preferredUsername: claims.preferred_username,
+        picture: claims.picture,
+        linkUserId: saved.linkUserId
+    };
+};
+
+export {
+    STATE_TTL_SECONDS,
+    getOidcConfig,
+    createAuthorizationRequest,
+    completeAuthorization
+};
@@ -0,0 +1,276 @@
+/*
+ * Single Sign-On Accounts Module
+ *
+ * Maps a verified OpenID Connect identity to a user:
+ *   - an identity that is already linked signs into its user
+ *   - a signed-in user who started the flow gets the identity linked
+ *   - otherwise an account with the same email is linked, but only when both
+ *     the provider and this site have verified that address; anything else
+ *     could hand someone else's account over
+ *   - failing all that, a password-less account is created, with the
+ *     provider's picture imported as its avatar
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import dns from "dns";
+import net from "net";
+import http from "http";
+import https from "https";
+import { User } from "../models/user.models.js";
+import { ApiError } from "./apiError.js";
+import { getOidcConfig } from "./oidc.js";
+import { uploadToStorage, toAssetRecord, deleteAsset } from "./storage/index.js";
+
+const AVATAR_MAX_BYTES = 5 * 1024 * 1024;
+const AVATAR_TIMEOUT_MS = 10 * 1000;
+const AVATAR_MAX_REDIRECTS = 3;
+const USERNAME_MAX_LENGTH = 20;
+const USERNAME_ATTEMPTS = 5;
+
+// Loopback, private, link-local and other non-public ranges. The picture URL
+// is often set by the user at the provider, so it must not reach internal
+// services through this server
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+    ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.168.0.0", 16], ["224.0.0.0", 3]
+]) {
+    blockedAddresses.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+    blockedAddresses.addSubnet(network, prefix, "ipv6");
+}
+
+const isBlockedAddress = (address) =>
+    blockedAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+// DNS lookup that refuses to connect to a blocked address, so a public name
+// resolving to an internal one is caught too
+const publicOnlyLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+
+        const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+        if (addresses.some(isBlockedAddress)) {
+            return callback(new Error(`Refusing to fetch avatar from private address of ${hostname}`));
+        }
+        callback(null, address, family);
+    });
+};
+
+// The provider's own host may be internal (e.g. the local mock provider)
+const isIssuerHost = (hostname) => {
+    const issuer = getOidcConfig()?.issuer;
+    return Boolean(issuer) && new URL(issuer).hostname === hostname;
+};
+
+/**
+ * Fetches an image, reading at most AVATAR_MAX_BYTES
+ *
+ * @param {URL} url
+ * @param {Number} redirectsLeft
+ * @returns {Promise<Buffer|null>} - The image, or null when it isn't one, is
+ *                                   too big or the host isn't allowed
+ */
+const downloadImage = async (url, redirectsLeft = AVATAR_MAX_REDIRECTS) => {
+    if (!["http:", "https:"].includes(url.protocol)) return null;
+
+    const trusted = isIssuerHost(url.hostname);
+    const literalAddress = url.hostname.replace(/^\[|\]$/g, "");
+    if (!trusted && net.isIP(literalAddress) && isBlockedAddress(literalAddress)) return null;
+
+    const client = url.protocol === "https:" ? https : http;
+
+    const result = await new Promise((resolve, reject) => {
+        const request = client.get(url, {
+            lookup: trusted ? undefined : publicOnlyLookup,
+            signal: AbortSignal.timeout(AVATAR_TIMEOUT_MS)
+        }, (response) => {
+            const { statusCode, headers } = response;
+
+            // Redirects are followed here so every hop is checked again
+            if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                response.resume();
+                return resolve({ redirect: new URL(headers.location, url) });
+            }
+
+            if (statusCode !== 200 ||
+                !headers["content-type"]?.startsWith("image/") ||
+                Number(headers["content-length"]) > AVATAR_MAX_BYTES) {
+                request.destroy();
+                return resolve(null);
+            }
+
+            const chunks = [];
+            let size = 0;
+            response.on("data", (chunk) => {
+                size += chunk.length;
+                if (size > AVATAR_MAX_BYTES) {
+                    request.destroy();
+                    return resolve(null);
+                }
+                chunks.push(chunk);
+            });
+            response.on("end", () => resolve(Buffer.concat(chunks)));
+            response.on("error", reject);
+        });
+
+        request.on("error", reject);
+    });
+
+    if (result?.redirect) {
+        return redirectsLeft > 0 ? downloadImage(result.redirect, redirectsLeft - 1) : null;
+    }
+    return result;
+};
+
+/**
+ * Downloads a picture and stores it like an uploaded avatar
+ * Best-effort: returns null when the picture can't be fetched, is too big or
+ * is hosted on a private address
+ *
+ * @param {String} url - Picture URL from the provider
+ * @returns {Promise<Object|null>} - Storage upload result
+ */
+const importAvatar = async (url) => {
+    if (!/^https?:\/\//i.test(url || "")) return null;
+
+    // Same temp directory multer writes uploads to
+    const localPath = path.join("./public/temp", `oidc-avatar-${crypto.randomBytes(8).toString("hex")}`);
+
+    try {
+        const bytes = await downloadImage(new URL(url));
+        if (!bytes) return null;
+
+        await fs.promises.mkdir(path.dirname(localPath), { recursive: true });
+        await fs.promises.writeFile(localPath, bytes);
+
+        // Removes the local file whether or not the upload succeeds
+        return await uploadToStorage(localPath);
+    } catch (error) {
+        console.log("Avatar import failed", error);
+        await fs.promises.rm(localPath, { force: true });
+        return null;
+    }
+};
+
+// Username candidates from the provider's profile: "jane.doe", then "jane.doe4821", ...
+const usernameBase = (identity) => {
+    const base = (identity.preferredUsername || identity.email?.split("@")[0] || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9_.]/g, "")
+        .slice(0, USERNAME_MAX_LENGTH);
+    return base || "user";
+};
+
+const identityRecord = (identity) => ({
+    issuer: identity.issuer,
+    subject: identity.subject,
+    email: identity.email
+});
+
+// Adds the identity to a user, refusing one that belongs to someone else
+const linkIdentity = async (user, identity) => {
+    const alreadyLinked = user.identities.some((linked) =>
+        linked.issuer === identity.issuer && linked.subject === identity.subject);
+    if (alreadyLinked) return user;
+
+    try {
+        return await User.findByIdAndUpdate(
+            user._id,
+            { $push: { identities: identityRecord(identity) } },
+            { new: true }
+        );
+    } catch (error) {
+        if (error?.code === 11000) {
+            throw new ApiError(409, "This provider account is already linked to another user");
+        }
+        throw error;
+    }
+};
+
+// Creates a password-less account for a first-time provider login
+const createUserFromIdentity = async (identity) => {
+    const avatar = await importAvatar(identity.picture);
+    const base = usernameBase(identity);
+
+    for (let attempt = 0; attempt < USERNAME_ATTEMPTS; attempt += 1) {
+        const suffix = attempt === 0 ? "" : String(crypto.randomInt(1000, 10000));
+
+        try {
+            return await User.create({
+                username: `${base}${suffix}`,
+                email: identity.email,
+                emailVerified: identity.emailVerified,
+                emailVerifiedAt: identity.emailVerified ? new Date() : undefined,
+                fullname: identity.name || base,
+                avatar: avatar?.url || "",
+                avatarAsset: toAssetRecord(avatar),
+                identities: [identityRecord(identity)]
+            });
+        } catch (error) {
+            // Username taken: try again with a suffix
+            if (error?.code === 11000 && error.keyPattern?.username) continue;
+
+            await deleteAsset(toAssetRecord(avatar));
+
+            // Email or identity taken by a concurrent sign-up
+            if (error?.code === 11000) {
+                throw new ApiError(409, "An account for this identity was just created, please sign in again");
+            }
+            throw error;
+        }
+    }
+
+    await deleteAsset(toAssetRecord(avatar));
+    throw new ApiError(409, "Could not find a free username, please register instead");
+};
+
+/**
+ * Finds, links or creates the user for a verified provider identity
+ *
+ * @param {Object} identity - Result of completeAuthorization
+ * @returns {Promise<Object>} - { user, created, linked }
+ */
+const resolveOidcUser = async (identity) => {
+    if (!identity.subject || !identity.issuer) {
+        throw new ApiError(401, "Identity provider returned no subject");
+    }
+
+    // A signed-in user is linking this provider to their account
+    if (identity.linkUserId) {
+        const user = await User.findById(identity.linkUserId);
+        if (!user) {
+            throw new ApiError(401, "User not found");
+        }
+        return { user: await linkIdentity(user, identity), created: false, linked: true };
+    }
+
+    const linkedUser = await User.findOne({
+        identities: { $elemMatch: { issuer: identity.issuer, subject: identity.subject } }
+    });
+    if (linkedUser) {
+        return { user: linkedUser, created: false, linked: false };
+    }
+
+    if (!identity.email) {
+        throw new ApiError(400, "The identity provider did not share an email address");
+    }
+
+    const emailUser = await User.findOne({ email: identity.email });
+    if (emailUser) {
+        if (!identity.emailVerified || !emailUser.emailVerified) {
+            throw new ApiError(
+                409,
+                "An account already uses this email. Sign in with your password and link the provider from your account"
+            );
+        }
+        return { user: await linkIdentity(emailUser, identity), created: false, linked: true };
+    }
+
+    return { user: await createUserFromIdentity(identity), created: true, linked: false };
+};
+
+export { importAvatar, resolveOidcUser };
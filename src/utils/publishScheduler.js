@@ -0,0 +1,113 @@
+/*
+ * Scheduled Publishing Module
+ *
+ * Videos uploaded with a publishAt time stay private until then, with the
+ * visibility to apply stored in scheduledVisibility. This in-process
+ * scheduler keeps one timer per pending video and flips it live when due.
+ *
+ * MongoDB is the source of truth: on startup every pending schedule is read
+ * back and re-armed, and videos whose time passed while the server was down
+ * are published immediately. The publish update only matches videos that are
+ * still due, so running several instances cannot publish a video twice or
+ * publish one whose schedule was changed in the meantime. A publish that
+ * fails is retried with a growing delay instead of waiting for a restart.
+ */
+
+import { Video } from "../models/video.models.js";
+import { VIDEO_VISIBILITY } from "../constants.js";
+
+// setTimeout cannot wait longer than this; longer delays are re-armed
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+// A failed publish (e.g. the database is briefly unreachable) is retried
+// after 30s, doubling up to 10 minutes, until it goes through
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 10 * 60 * 1000;
+
+const timers = new Map();
+
+// Publishes the video if its schedule is due, returns true if it was published
+const publishIfDue = async (videoId) => {
+    timers.delete(videoId.toString());
+
+    const result = await Video.updateOne(
+        { _id: videoId, publishAt: { $lte: new Date() } },
+        [
+            {
+                $set: {
+                    visibility: { $ifNull: ["$scheduledVisibility", VIDEO_VISIBILITY.PUBLIC] }
+                }
+            },
+            {
+                // Going public for the first time stamps the publish time
+                $set: {
+                    publishedAt: {
+                        $cond: [
+                            { $eq: ["$visibility", VIDEO_VISIBILITY.PUBLIC] },
+                            { $ifNull: ["$publishedAt", "$$NOW"] },
+                            "$publishedAt"
+                        ]
+                    }
+                }
+            },
+            { $unset: ["publishAt", "scheduledVisibility"] }
+        ]
+    );
+
+    if (result.modifiedCount === 1) {
+        console.log("Published scheduled video:", videoId.toString());
+        return true;
+    }
+    return false;
+};
+
+const cancelScheduledPublish = (videoId) => {
+    const key = videoId.toString();
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+};
+
+/**
+ * Arms (or re-arms) the timer for a video's publishAt time
+ *
+ * @param {Object} video - Video with _id and publishAt
+ * @param {Number} attempt - Failed publish attempts so far, sets the retry backoff
+ */
+const schedulePublish = (video, attempt = 0) => {
+    cancelScheduledPublish(video._id);
+    if (!video.publishAt) return;
+
+    const delay = attempt
+        ? Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS)
+        : new Date(video.publishAt).getTime() - Date.now();
+
+    const timer = setTimeout(() => {
+        if (delay > MAX_TIMER_DELAY_MS) {
+            schedulePublish(video);
+            return;
+        }
+        publishIfDue(video._id).catch((error) => {
+            console.log("Error publishing scheduled video, retrying:", error);
+
+            // Unless the video was rescheduled in the meantime; a cancelled
+            // schedule is harmless, publishIfDue re-checks the database
+            if (!timers.has(video._id.toString())) {
+                schedulePublish(video, attempt + 1);
+            }
+        });
+    }, Math.min(Math.max(delay, 0), MAX_TIMER_DELAY_MS));
+
+    // Pending schedules must not keep the process alive on shutdown
+    timer.unref();
+    timers.set(video._id.toString(), timer);
+};
+
+// Loads pending schedules from MongoDB, call once after connecting
+const startPublishScheduler = async () => {
+    const pending = await Video.find({ publishAt: { $ne: null } }).select("_id publishAt");
+
+    pending.forEach((video) => schedulePublish(video));
+    console.log(`Publish scheduler started with ${pending.length} pending video(s)`);
+};
+
+export { startPublishScheduler, schedulePublish, cancelScheduledPublish };
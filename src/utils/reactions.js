@@ -0,0 +1,196 @@
+/*
+ * Reactions Module
+ *
+ * Likes, dislikes and emoji reactions share the Like collection: each
+ * document is one user's reaction to one video, comment or tweet, with the
+ * reaction type in "reaction". A user holds at most one reaction per target,
+ * so reacting again with a different type replaces the previous one and
+ * repeating the same type removes it. Unique indexes on the Like model
+ * enforce this, and every write below is a single atomic operation so
+ * concurrent requests can't create duplicate rows. The target's likesCount
+ * is adjusted from the row each write replaced or removed, and like changes
+ * on videos are recorded for channel analytics.
+ *
+ * Documents written before reactions existed have no "reaction" field and
+ * are treated as likes everywhere.
+ */
+
+import mongoose from "mongoose";
+import { Like } from "../models/like.models.js";
+import { ApiError } from "./apiError.js";
+import { isLikeReaction, adjustLikesCount } from "./counters.js";
+import { recordVideoEvent } from "./channelAnalytics.js";
+import { REACTIONS, REACTION_TYPES } from "../constants.js";
+
+// Query filter matching plain likes, including pre-reaction documents
+const LIKE_FILTER = { reaction: { $in: ["like", null] } };
+
+// Applies a change in "like" reactions to the target's counter and analytics
+const recordLikeChange = async (field, targetId, userId, delta) => {
+    if (!delta) return;
+
+    await adjustLikesCount(field, targetId, delta);
+    if (field === "video") {
+        await recordVideoEvent(delta > 0 ? "like" : "unlike", targetId, userId);
+    }
+};
+
+// Validates a reaction type from the request
+const parseReaction = (value) => {
+    if (!REACTION_TYPES.includes(value)) {
+        throw new ApiError(400, `Reaction must be one of: ${REACTION_TYPES.join(", ")}`);
+    }
+    return value;
+};
+
+/**
+ * Sets, replaces or removes a user's reaction to a target
+ *
+ * @param {String} field - Target path on Like: "video", "comment" or "tweet"
+ * @param {ObjectId|String} targetId - Target document id
+ * @param {ObjectId} userId - Reacting user
+ * @param {String} reaction - Reaction type
+ * @param {Boolean} toggle - Remove the reaction if the user already has it
+ * @returns {Promise<String|null>} - The user's reaction afterwards
+ */
+const setReaction = async (field, targetId, userId, reaction, { toggle = true } = {}) => {
+    const conditions = { [field]: targetId, likedBy: userId };
+
+    // Repeating the current reaction removes it
+    if (toggle) {
+        const removed = await Like.findOneAndDelete({
+            ...conditions,
+            reaction: reaction === "like" ? LIKE_FILTER.reaction : reaction
+        });
+        if (removed) {
+            await recordLikeChange(field, targetId, userId, reaction === "like" ? -1 : 0);
+            return null;
+        }
+    }
+
+    // Returns the row as it was before the update, null if it was inserted
+    const update = { $set: { reaction } };
+    let previous;
+    try {
+        previous = await Like.findOneAndUpdate(conditions, update, { upsert: true }).lean();
+    } catch (error) {
+        // Duplicate key: a concurrent request inserted first, update its row
+        if (error?.code !== 11000) throw error;
+        previous = await Like.findOneAndUpdate(conditions, update).lean();
+    }
+
+    const wasLike = Boolean(previous) && isLikeReaction(previous.reaction);
+    await recordLikeChange(field, targetId, userId, Number(reaction === "like") - Number(wasLike));
+    return reaction;
+};
+
+/**
+ * Aggregation stages adding reaction counts to documents of a collection
+ *
+ * Adds "reactions" ({ like: 3, dislike: 0, ... } covering every type) and
+ * "viewerReaction" (the viewer's reaction or null).
+ *
+ * @param {String} field - Like path pointing at these documents
+ * @param {ObjectId} viewerId - Current user
+ * @returns {Array} - Pipeline stages
+ */
+const reactionSummaryStages = (field, viewerId) => [
+    {
+        $lookup: {
+            from: "likes",
+            localField: "_id",
+            foreignField: field,
+            as: "reactionDocs",
+            pipeline: [
+                {
+                    $project: {
+                        likedBy: 1,
+                        reaction: { $ifNull: ["$reaction", "like"] }
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            reactions: {
+                $arrayToObject: {
+                    $map: {
+                        input: REACTION_TYPES,
+                        as: "type",
+                        in: {
+                            k: "$$type",
+                            v: {
+                                $size: {
+                                    $filter: {
+                                        input: "$reactionDocs",
+                                        cond: { $eq: ["$$this.reaction", "$$type"] }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            viewerReaction: {
+                $ifNull: [
+                    {
+                        $first: {
+                            $map: {
+                                input: {
+                                    $filter: {
+                                        input: "$reactionDocs",
+                                        cond: { $eq: ["$$this.likedBy", viewerId ? new mongoose.Types.ObjectId(viewerId) : null] }
+                                    }
+                                },
+                                in: "$$this.reaction"
+                            }
+                        }
+                    },
+                    null
+                ]
+            }
+        }
+    },
+    {
+        $unset: "reactionDocs"
+    }
+];
+
+/**
+ * Reaction counts and the viewer's reaction for a single target
+ *
+ * @returns {Promise<{ reactions: Object, viewerReaction: String|null }>}
+ */
+const getReactionSummary = async (field, targetId, viewerId) => {
+    const targetObjectId = new mongoose.Types.ObjectId(targetId);
+    const counts = await Like.aggregate([
+        { $match: { [field]: targetObjectId } },
+        {
+            $group: {
+                _id: { $ifNull: ["$reaction", "like"] },
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+
+    const reactions = Object.fromEntries(REACTION_TYPES.map((type) => [type, 0]));
+    counts.forEach(({ _id, count }) => {
+        reactions[_id] = count;
+    });
+
+    const own = viewerId
+        ? await Like.findOne({ [field]: targetObjectId, likedBy: viewerId }).select("reaction")
+        : null;
+
+    return { reactions, viewerReaction: own ? own.reaction || "like" : null };
+};
+
+export {
+    REACTIONS,
+    LIKE_FILTER,
+    parseReaction,
+    setReaction,
+    reactionSummaryStages,
+    getReactionSummary
+};
@@ -0,0 +1,193 @@
+/*
+ * Recommendations Module
+ *
+ * Ranks "up next" candidates for a video and a viewer. Candidates are
+ * gathered from four sources, then scored on five signals:
+ *   - co-watch: other videos in the watch histories of users who watched it
+ *   - co-like: other videos liked by users who liked it
+ *   - same channel: uploads from the same owner
+ *   - similarity: overlap of title and description words (Jaccard)
+ *   - recency: newer uploads score higher, halving every RECENCY_HALF_LIFE_DAYS
+ *
+ * Only public videos are recommended, never the source video or anything
+ * the viewer has already watched. Scoring is a pure function of its inputs
+ * and "now", with ties broken by id, so the same database always produces
+ * the same ranking.
+ */
+
+import mongoose from "mongoose";
+import { Video } from "../models/video.models.js";
+import { User } from "../models/user.models.js";
+import { Like } from "../models/like.models.js";
+import { listedVideoFilter } from "./videoVisibility.js";
+import { LIKE_FILTER } from "./reactions.js";
+
+// Signal weights; co-watch and co-like counts are normalized to 0..1 first
+const RECOMMENDATION_WEIGHTS = Object.freeze({
+    coWatch: 3,
+    coLike: 2,
+    sameChannel: 1,
+    similarity: 2,
+    recency: 1
+});
+
+const RECENCY_HALF_LIFE_DAYS = 30;
+
+// How many users and videos each source may contribute
+const MAX_SIGNAL_USERS = 500;
+const MAX_SOURCE_CANDIDATES = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STOP_WORDS = new Set([
+    "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "how", "i",
+    "in", "is", "it", "my", "of", "on", "or", "the", "this", "to", "we", "with", "you"
+]);
+
+// Lowercased words of the title and description, without stop words
+const tokenize = (video) => new Set(
+    `${video.title || ""} ${video.description || ""}`
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+);
+
+// Jaccard similarity of two word sets, 0..1
+const textSimilarity = (a, b) => {
+    if (!a.size || !b.size) return 0;
+
+    let shared = 0;
+    a.forEach((word) => {
+        if (b.has(word)) shared += 1;
+    });
+    return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Scores and ranks candidate videos
+ *
+ * @param {Object} source - Video being watched (owner, title, description)
+ * @param {Array} candidates - Videos to rank (_id, owner, title, description, createdAt)
+ * @param {Map} coWatch - Candidate id => number of shared watchers
+ * @param {Map} coLike - Candidate id => number of shared likers
+ * @param {Date} now - Reference time for recency
+ * @returns {Array} - Candidates with "score" and per-signal "signals", best first
+ */
+const scoreCandidates = ({ source, candidates, coWatch = new Map(), coLike = new Map(), now = new Date() }) => {
+    const maxCoWatch = Math.max(1, ...coWatch.values());
+    const maxCoLike = Math.max(1, ...coLike.values());
+    const sourceWords = tokenize(source);
+    const sourceOwner = source.owner?.toString();
+
+    return candidates
+        .map((video) => {
+            const id = video._id.toString();
+            const ageDays = Math.max(0, (now.getTime() - new Date(video.createdAt).getTime()) / DAY_MS);
+
+            const signals = {
+                coWatch: (coWatch.get(id) || 0) / maxCoWatch,
+                coLike: (coLike.get(id) || 0) / maxCoLike,
+                sameChannel: video.owner?.toString() === sourceOwner ? 1 : 0,
+                similarity: textSimilarity(sourceWords, tokenize(video)),
+                recency: 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS)
+            };
+
+            const score = Object.entries(RECOMMENDATION_WEIGHTS)
+                .reduce((sum, [signal, weight]) => sum + weight * signals[signal], 0);
+
+            return { ...video, score, signals };
+        })
+        .sort((a, b) => b.score - a.score || a._id.toString().localeCompare(b._id.toString()));
+};
+
+// Turns grouped { _id, count } rows into a Map keyed by video id
+const toCountMap = (rows) => new Map(rows.map((row) => [row._id.toString(), row.count]));
+
+// Other videos in the histories of users who watched the source video
+const coWatchCounts = async (videoId) => toCountMap(await User.aggregate([
+    { $match: { watchHistory: videoId } },
+    { $sort: { _id: 1 } },
+    { $limit: MAX_SIGNAL_USERS },
+    { $project: { watchHistory: 1 } },
+    { $unwind: "$watchHistory" },
+    { $match: { watchHistory: { $ne: videoId } } },
+    { $group: { _id: "$watchHistory", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: MAX_SOURCE_CANDIDATES }
+]));
+
+// Other videos liked by users who liked the source video
+const coLikeCounts = async (videoId) => {
+    const likes = await Like.find({ video: videoId, ...LIKE_FILTER })
+        .sort({ likedBy: 1 })
+        .limit(MAX_SIGNAL_USERS)
+        .select("likedBy")
+        .lean();
+    const likers = likes.map((like) => like.likedBy);
+
+    return toCountMap(await Like.aggregate([
+        { $match: { likedBy: { $in: likers }, video: { $exists: true, $ne: videoId }, ...LIKE_FILTER } },
+        { $group: { _id: "$video", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: MAX_SOURCE_CANDIDATES }
+    ]));
+};
+
+/**
+ * Recommends videos to watch after the given one
+ *
+ * @param {Object} video - Source video document
+ * @param {Object} options
+ * @param {Array} options.watchedVideoIds - Viewer's watch history, excluded
+ * @param {Number} options.limit - Number of recommendations
+ * @param {Date} options.now - Reference time for recency (for reproducible results)
+ * @returns {Promise<Array>} - Ranked videos with score and signals
+ */
+const getRecommendations = async (video, { watchedVideoIds = [], limit = 10, now = new Date() } = {}) => {
+    const videoId = new mongoose.Types.ObjectId(video._id);
+
+    const [coWatch, coLike] = await Promise.all([
+        coWatchCounts(videoId),
+        coLikeCounts(videoId)
+    ]);
+
+    // Same-channel uploads and text matches complete the candidate pool
+    const sameChannel = await Video.find({ owner: video.owner, ...listedVideoFilter() })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(MAX_SOURCE_CANDIDATES)
+        .select("_id")
+        .lean();
+
+    const searchTerms = [...tokenize(video)].join(" ");
+    const similar = searchTerms
+        ? await Video.find({ $text: { $search: searchTerms }, ...listedVideoFilter() })
+            .select({ score: { $meta: "textScore" } })
+            .sort({ score: { $meta: "textScore" }, _id: 1 })
+            .limit(MAX_SOURCE_CANDIDATES)
+            .lean()
+        : [];
+
+    const excluded = [videoId, ...watchedVideoIds.map((id) => new mongoose.Types.ObjectId(id))];
+    const candidateIds = [
+        ...coWatch.keys(),
+        ...coLike.keys(),
+        ...[...sameChannel, ...similar].map((candidate) => candidate._id)
+    ];
+
+    const candidates = await Video.find({
+        _id: { $in: candidateIds, $nin: excluded },
+        ...listedVideoFilter()
+    })
+        .select("title description thumbnail duration views likesCount owner ownerName createdAt")
+        .lean();
+
+    return scoreCandidates({ source: video, candidates, coWatch, coLike, now }).slice(0, limit);
+};
+
+export {
+    RECOMMENDATION_WEIGHTS,
+    tokenize,
+    textSimilarity,
+    scoreCandidates,
+    getRecommendations
+};
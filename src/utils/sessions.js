@@ -0,0 +1,189 @@
+/*
+ * Sessions Module
+ *
+ * Issues and rotates refresh tokens per device. Each login opens a Session
+ * (the token family) and every refresh swaps its token for a new one:
+ *   - the stored hash is replaced atomically, so a token works exactly once
+ *   - a token that verifies but is no longer the latest of its family was
+ *     replayed (stolen, or used twice), so the session is revoked and the
+ *     device has to sign in again
+ *
+ * Access tokens carry the session id too, so revoking a session signs the
+ * device out on its next request rather than when the access token expires.
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { Session } from "../models/session.models.js";
+import { User } from "../models/user.models.js";
+import { ApiError } from "./apiError.js";
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Device details recorded with the session
+const clientOf = (req) => ({
+    userAgent: (req.get("user-agent") || "").slice(0, 512),
+    ip: req.ip || ""
+});
+
+// Signs a token pair for the session and returns it with the refresh token's expiry
+const signTokens = (user, sessionId) => {
+    const accessToken = user.generateAccessToken(sessionId.toString());
+    const refreshToken = user.generateRefreshToken(sessionId.toString());
+    const { exp } = jwt.decode(refreshToken);
+
+    return { accessToken, refreshToken, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Opens a session for a user signing in on a device
+ *
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, for user agent and IP
+ * @returns {Promise<Object>} - { accessToken, refreshToken, sessionId }
+ */
+const createSession = async (user, req) => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const { accessToken, refreshToken, expiresAt } = signTokens(user, sessionId);
+
+    await Session.create({
+        _id: sessionId,
+        user: user._id,
+        tokenHash: hashToken(refreshToken),
+        ...clientOf(req),
+        lastUsedAt: new Date(),
+        expiresAt
+    });
+
+    return { accessToken, refreshToken, sessionId };
+};
+
+/**
+ * Exchanges a refresh token for a new token pair
+ * Throws 401 for invalid, expired or revoked tokens, and revokes the session
+ * when the token has already been rotated
+ *
+ * @param {String} incomingToken - Refresh token presented by the client
+ * @param {Object} req - Express request, for user agent and IP
+ * @returns {Promise<Object>} - { accessToken, refreshToken, sessionId }
+ */
+const rotateSession = async (incomingToken, req) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(incomingToken, process.env.REFRESH_TOKEN_SECRET);
+    } catch (error) {
+        throw new ApiError(401, "Invalid refresh token");
+    }
+
+    // Tokens issued before sessions existed carry no session id
+    if (!mongoose.isValidObjectId(decoded?.sid)) {
+        throw new ApiError(401, "Invalid refresh token");
+    }
+
+    const user = await User.findById(decoded._id);
+    if (!user) {
+        throw new ApiError(401, "Invalid refresh token");
+    }
+
+    const { accessToken, refreshToken, expiresAt } = signTokens(user, decoded.sid);
+
+    // Only the latest token of a live session matches
+    const rotated = await Session.findOneAndUpdate(
+        {
+            _id: decoded.sid,
+            user: user._id,
+            tokenHash: hashToken(incomingToken),
+            revokedAt: null
+        },
+        {
+            $set: {
+                tokenHash: hashToken(refreshToken),
+                ...clientOf(req),
+                lastUsedAt: new Date(),
+                expiresAt
+            }
+        }
+    );
+
+    if (!rotated) {
+        // A genuine token of a session that is still open, but not its
+        // latest one: someone replayed it
+        const reused = await Session.findOneAndUpdate(
+            { _id: decoded.sid, user: user._id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: "reuse" } }
+        );
+        if (reused) {
+            console.log("Refresh token reuse detected, session revoked", decoded.sid);
+        }
+        throw new ApiError(401, "Invalid refresh token");
+    }
+
+    return { accessToken, refreshToken, sessionId: rotated._id };
+};
+
+// True when the session exists, belongs to the user and is still open
+const isSessionActive = async (sessionId, userId) => {
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+
+    const session = await Session.exists({
+        _id: sessionId,
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+    return Boolean(session);
+};
+
+// Open sessions of a user, most recently used first
+const listSessions = (userId) => Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+})
+    .sort({ lastUsedAt: -1 })
+    .select("userAgent ip lastUsedAt expiresAt createdAt")
+    .lean();
+
+/**
+ * Revokes one session of a user
+ *
+ * @returns {Promise<Boolean>} - False if there was no such open session
+ */
+const revokeSession = async (userId, sessionId, reason = "revoked") => {
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+
+    const result = await Session.updateOne(
+        { _id: sessionId, user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount === 1;
+};
+
+/**
+ * Revokes every open session of a user, optionally keeping one
+ *
+ * @returns {Promise<Number>} - Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, { except, reason = "revoked" } = {}) => {
+    const filter = { user: userId, revokedAt: null };
+    if (except) {
+        filter._id = { $ne: except };
+    }
+
+    const result = await Session.updateMany(
+        filter,
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+};
+
+export {
+    hashToken,
+    createSession,
+    rotateSession,
+    isSessionActive,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+};
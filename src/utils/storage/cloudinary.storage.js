@@ -0,0 +1,46 @@
+/*
+ * Cloudinary Storage Backend
+ *
+ * Stores media on Cloudinary, a cloud-based media management service.
+ * Cloudinary detects the resource type itself and reports video duration.
+ */
+
+import { v2 as cloudinary } from "cloudinary";
+
+const createCloudinaryStorage = () => {
+    // Configure Cloudinary with credentials from environment variables
+    // This approach keeps sensitive keys out of the codebase
+    cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET
+    });
+
+    return {
+        name: "cloudinary",
+
+        upload: async (localFilePath) => {
+            // Upload with automatic format detection
+            // This ensures optimal handling of different file types (images, videos, etc.)
+            const response = await cloudinary.uploader.upload(localFilePath, {
+                resource_type: "auto"
+            });
+
+            return {
+                url: response.secure_url || response.url,
+                public_id: response.public_id,
+                resource_type: response.resource_type,
+                format: response.format,
+                bytes: response.bytes,
+                duration: response.duration || 0
+            };
+        },
+
+        destroy: async (publicId, { resource_type = "image" } = {}) => {
+            // Cloudinary only finds the asset under its original resource type
+            return await cloudinary.uploader.destroy(publicId, { resource_type });
+        }
+    };
+};
+
+export { createCloudinaryStorage };
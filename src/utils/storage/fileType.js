@@ -0,0 +1,126 @@
+/*
+ * File Type Detection
+ *
+ * Multer stores uploads as "<originalname>-<suffix>", so the extension cannot
+ * be trusted. These helpers sniff the leading bytes of a file instead, and
+ * read the duration of MP4/MOV videos from their "mvhd" header, so that
+ * storage backends other than Cloudinary can return the same metadata.
+ */
+
+import fs from "fs";
+
+// Magic-byte signatures checked against the start of the file
+const SIGNATURES = [
+    { format: "jpg", resource_type: "image", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { format: "png", resource_type: "image", test: (b) => b.toString("hex", 0, 4) === "89504e47" },
+    { format: "gif", resource_type: "image", test: (b) => b.toString("ascii", 0, 3) === "GIF" },
+    { format: "webp", resource_type: "image", test: (b) => b.toString("ascii", 0, 4) === "RIFF" && b.toString("ascii", 8, 12) === "WEBP" },
+    { format: "webm", resource_type: "video", test: (b) => b.toString("hex", 0, 4) === "1a45dfa3" },
+    { format: "mov", resource_type: "video", test: (b) => b.toString("ascii", 4, 8) === "ftyp" && b.toString("ascii", 8, 10) === "qt" },
+    { format: "mp4", resource_type: "video", test: (b) => b.toString("ascii", 4, 8) === "ftyp" },
+];
+
+const CONTENT_TYPES = {
+    jpg: "image/jpeg",
+    png: "image/png",
+    gif: "image/gif",
+    webp: "image/webp",
+    webm: "video/webm",
+    mov: "video/quicktime",
+    mp4: "video/mp4",
+};
+
+const readBytes = (fd, position, length) => {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+};
+
+/**
+ * Detects the format of a local file from its leading bytes
+ *
+ * @param {String} localFilePath - Path of the file to inspect
+ * @returns {{ format: String, resource_type: String, contentType: String }}
+ */
+const detectFileType = (localFilePath) => {
+    const fd = fs.openSync(localFilePath, "r");
+    try {
+        const header = readBytes(fd, 0, 16);
+        const match = SIGNATURES.find((signature) => signature.test(header));
+
+        if (!match) {
+            return { format: "bin", resource_type: "raw", contentType: "application/octet-stream" };
+        }
+        return {
+            format: match.format,
+            resource_type: match.resource_type,
+            contentType: CONTENT_TYPES[match.format],
+        };
+    } finally {
+        fs.closeSync(fd);
+    }
+};
+
+/**
+ * Reads the duration (in seconds) of an MP4/MOV file
+ *
+ * Walks the top-level boxes to "moov", then its children to "mvhd", whose
+ * timescale and duration fields give the length of the movie. Returns 0 when
+ * the file is not an ISO media file or the header cannot be found.
+ *
+ * @param {String} localFilePath - Path of the video file
+ * @returns {Number} - Duration in seconds
+ */
+const probeVideoDuration = (localFilePath) => {
+    const fd = fs.openSync(localFilePath, "r");
+    try {
+        const fileSize = fs.fstatSync(fd).size;
+
+        // Finds the first box of the given type between start and end
+        const findBox = (type, start, end) => {
+            let offset = start;
+            while (offset + 8 <= end) {
+                const header = readBytes(fd, offset, 16);
+                if (header.length < 8) return null;
+
+                let size = header.readUInt32BE(0);
+                let headerSize = 8;
+                if (size === 1) {
+                    size = Number(header.readBigUInt64BE(8));
+                    headerSize = 16;
+                } else if (size === 0) {
+                    size = end - offset;
+                }
+                if (size < headerSize) return null;
+
+                if (header.toString("ascii", 4, 8) === type) {
+                    return { start: offset + headerSize, end: offset + size };
+                }
+                offset += size;
+            }
+            return null;
+        };
+
+        const moov = findBox("moov", 0, fileSize);
+        if (!moov) return 0;
+
+        const mvhd = findBox("mvhd", moov.start, moov.end);
+        if (!mvhd) return 0;
+
+        const body = readBytes(fd, mvhd.start, 32);
+        const version = body[0];
+
+        // Version 1 uses 64-bit creation/modification times and duration
+        const timescale = version === 1 ? body.readUInt32BE(20) : body.readUInt32BE(12);
+        const duration = version === 1 ? Number(body.readBigUInt64BE(24)) : body.readUInt32BE(16);
+
+        return timescale ? duration / timescale : 0;
+    } catch (error) {
+        console.log("Could not read video duration:", error.message);
+        return 0;
+    } finally {
+        fs.closeSync(fd);
+    }
+};
+
+export { detectFileType, probeVideoDuration };
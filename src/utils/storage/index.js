@@ -0,0 +1,131 @@
+/*
+ * Storage Module
+ *
+ * Single entry point for storing and deleting uploaded media. The backend is
+ * chosen with the STORAGE_DRIVER environment variable:
+ *   - "cloudinary" (default): Cloudinary media service
+ *   - "local": local filesystem, for offline development and CI
+ *   - "s3": any S3-compatible object store (AWS, MinIO, ...)
+ *
+ * Every backend implements the same adapter interface:
+ *   upload(localFilePath) -> { url, public_id, resource_type, format, bytes, duration }
+ *   destroy(publicId, { resource_type }) -> backend-specific result
+ *
+ * Uploads report which backend ("provider") stored them, and documents keep
+ * that in their asset records, so assets are always deleted from the backend
+ * that holds them even after STORAGE_DRIVER changes.
+ */
+
+import fs from "fs";
+import dotenv from "dotenv";
+import { createCloudinaryStorage } from "./cloudinary.storage.js";
+import { createLocalStorage } from "./local.storage.js";
+import { createS3Storage } from "./s3.storage.js";
+
+// Load environment variables from .env file
+dotenv.config();
+
+const drivers = {
+    cloudinary: createCloudinaryStorage,
+    local: createLocalStorage,
+    s3: createS3Storage
+};
+
+const backends = {};
+
+// Creates a backend on first use, defaulting to the configured driver
+const getStorage = (provider = process.env.STORAGE_DRIVER || "cloudinary") => {
+    const driver = provider.toLowerCase();
+
+    if (!backends[driver]) {
+        const createStorage = drivers[driver];
+
+        if (!createStorage) {
+            throw new Error(`Unknown storage driver "${driver}"`);
+        }
+        backends[driver] = createStorage();
+    }
+    return backends[driver];
+};
+
+// Uploads a file to the configured storage backend and removes the local copy
+const uploadToStorage = async (localFilePath) => {
+    try {
+        // Return null if no file path is provided
+        if (!localFilePath) return null;
+
+        console.log("Uploading file:", localFilePath);
+
+        // Verify file exists before attempting upload
+        if (!fs.existsSync(localFilePath)) {
+            console.log("File does not exist:", localFilePath);
+            return null;
+        }
+
+        const backend = getStorage();
+        const response = {
+            ...(await backend.upload(localFilePath)),
+            provider: backend.name
+        };
+
+        console.log(`File uploaded to ${backend.name}:`, response.url);
+
+        // Remove local file after successful upload
+        // This prevents accumulation of temporary files on the server
+        fs.unlinkSync(localFilePath);
+        return response;
+    } catch (error) {
+        console.log("Error uploading file:", error);
+
+        // Clean up local file even if upload fails
+        // This ensures no orphaned files remain after errors
+        if (localFilePath && fs.existsSync(localFilePath)) {
+            fs.unlinkSync(localFilePath);
+        }
+        return null;
+    }
+};
+
+// Deletes a file from storage, from options.provider or the configured backend
+const deleteFromStorage = async (publicId, { provider, ...options } = {}) => {
+    try {
+        // Validate publicId to prevent unnecessary API calls
+        if (!publicId) {
+            console.log("No publicId provided for deletion");
+            return null;
+        }
+
+        const backend = getStorage(provider);
+        const result = await backend.destroy(publicId, options);
+        console.log(`Deleted from ${backend.name}:`, publicId);
+        return result;
+    } catch (error) {
+        console.log("Error deleting file:", error);
+        return null;
+    }
+};
+
+// Builds the asset record stored on documents from an upload result
+const toAssetRecord = (upload) => {
+    if (!upload) return undefined;
+
+    return {
+        public_id: upload.public_id,
+        resource_type: upload.resource_type,
+        format: upload.format,
+        bytes: upload.bytes,
+        provider: upload.provider
+    };
+};
+
+// Deletes the asset described by a stored asset record
+const deleteAsset = async (asset) => {
+    if (!asset?.public_id) return null;
+
+    return await deleteFromStorage(asset.public_id, {
+        resource_type: asset.resource_type,
+        provider: asset.provider
+    });
+};
+
+export { uploadToStorage, deleteFromStorage, toAssetRecord, deleteAsset };
@@ -0,0 +1,69 @@
+/*
+ * Local Filesystem Storage Backend
+ *
+ * Copies uploads into a directory on disk, for offline development and CI.
+ * The default directory lives under "public", so the files are served by the
+ * express.static middleware configured in app.js.
+ *
+ * Configuration:
+ *   LOCAL_STORAGE_DIR      - Target directory (default: ./public/uploads)
+ *   LOCAL_STORAGE_BASE_URL - URL prefix the directory is served from
+ *                            (default: http://localhost:<PORT>/uploads)
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { detectFileType, probeVideoDuration } from "./fileType.js";
+
+const createLocalStorage = () => {
+    const rootDir = path.resolve(process.env.LOCAL_STORAGE_DIR || "./public/uploads");
+    const baseUrl = (
+        process.env.LOCAL_STORAGE_BASE_URL ||
+        `http://localhost:${process.env.PORT || 8001}/uploads`
+    ).replace(/\/+$/, "");
+
+    // Public IDs are paths relative to rootDir; reject anything escaping it
+    const resolvePath = (publicId) => {
+        const filePath = path.resolve(rootDir, publicId);
+        if (!filePath.startsWith(rootDir + path.sep)) {
+            throw new Error(`Invalid public id: ${publicId}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: "local",
+
+        upload: async (localFilePath) => {
+            const { format, resource_type } = detectFileType(localFilePath);
+            const publicId = `${resource_type}/${crypto.randomUUID()}.${format}`;
+            const targetPath = resolvePath(publicId);
+
+            await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+            await fs.promises.copyFile(localFilePath, targetPath);
+            const { size } = await fs.promises.stat(targetPath);
+
+            return {
+                url: `${baseUrl}/${publicId}`,
+                public_id: publicId,
+                resource_type,
+                format,
+                bytes: size,
+                duration: resource_type === "video" ? probeVideoDuration(targetPath) : 0
+            };
+        },
+
+        destroy: async (publicId) => {
+            try {
+                await fs.promises.unlink(resolvePath(publicId));
+                return { result: "ok" };
+            } catch (error) {
+                if (error.code === "ENOENT") return { result: "not found" };
+                throw error;
+            }
+        }
+    };
+};
+
+export { createLocalStorage };
@@ -0,0 +1,86 @@
+/*
+ * S3-Compatible Storage Backend
+ *
+ * Stores media in an S3 bucket. Path-style addressing is used so the same
+ * code works against AWS and self-hosted servers such as a local MinIO.
+ *
+ * Configuration:
+ *   S3_BUCKET            - Bucket name (required)
+ *   S3_ENDPOINT          - Custom endpoint, e.g. http://localhost:9000 for MinIO
+ *   S3_REGION            - Region (default: us-east-1)
+ *   S3_ACCESS_KEY_ID     - Access key
+ *   S3_SECRET_ACCESS_KEY - Secret key
+ *   S3_PUBLIC_URL        - URL prefix objects are publicly served from
+ *                          (default: <endpoint>/<bucket>)
+ */
+
+import fs from "fs";
+import crypto from "crypto";
+import { S3Client, PutObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+import { detectFileType, probeVideoDuration } from "./fileType.js";
+
+const createS3Storage = () => {
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+        throw new Error("S3_BUCKET must be set to use the s3 storage driver");
+    }
+
+    const region = process.env.S3_REGION || "us-east-1";
+    const endpoint = process.env.S3_ENDPOINT;
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle: true,
+        credentials: process.env.S3_ACCESS_KEY_ID
+            ? {
+                  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+              }
+            : undefined
+    });
+
+    const publicUrl = (
+        process.env.S3_PUBLIC_URL ||
+        `${endpoint || `https://s3.${region}.amazonaws.com`}/${bucket}`
+    ).replace(/\/+$/, "");
+
+    return {
+        name: "s3",
+
+        upload: async (localFilePath) => {
+            const { format, resource_type, contentType } = detectFileType(localFilePath);
+            const key = `${resource_type}/${crypto.randomUUID()}.${format}`;
+            const { size } = await fs.promises.stat(localFilePath);
+
+            // Probe before uploading, since the temp file is removed afterwards
+            const duration = resource_type === "video" ? probeVideoDuration(localFilePath) : 0;
+
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: fs.createReadStream(localFilePath),
+                ContentType: contentType,
+                ContentLength: size
+            }));
+
+            return {
+                url: `${publicUrl}/${key}`,
+                public_id: key,
+                resource_type,
+                format,
+                bytes: size,
+                duration
+            };
+        },
+
+        destroy: async (publicId) => {
+            return await client.send(new DeleteObjectCommand({
+                Bucket: bucket,
+                Key: publicId
+            }));
+        }
+    };
+};
+
+export { createS3Storage };
@@ -0,0 +1,192 @@
+/*
+ * Trending Module
+ *
+ * Ranks public videos by recent engagement rather than lifetime views.
+ * For each window (24h, 7d, 30d) the channel analytics events inside it
+ * are weighted by type (comment > like > view, an unlike cancels a like)
+ * and decay exponentially with their age, so a burst an hour ago counts
+ * more than the same burst days ago. The sum is then divided by
+ * (1 + video age / window), which keeps old videos with a steady trickle of
+ * views below new ones picking up speed.
+ *
+ * Rankings are computed every TRENDING_REFRESH_INTERVAL_MS and stored as
+ * TrendingSnapshot documents; reads go through a small in-process cache,
+ * so the endpoint costs one lookup of the listed videos.
+ */
+
+import { ChannelEvent } from "../models/channelEvent.models.js";
+import { TrendingSnapshot } from "../models/trendingSnapshot.models.js";
+import { listedVideoFilter } from "./videoVisibility.js";
+import { TRENDING_WINDOWS, TRENDING_REFRESH_INTERVAL_MS } from "../constants.js";
+
+// Engagement weight of each event type
+const EVENT_WEIGHTS = Object.freeze({
+    view: 1,
+    like: 4,
+    unlike: -4,
+    comment: 8
+});
+
+// $switch branches mapping an event's type to its weight
+const weightOfType = {
+    $switch: {
+        branches: Object.entries(EVENT_WEIGHTS).map(([type, weight]) => ({
+            case: { $eq: ["$type", type] },
+            then: weight
+        })),
+        default: 0
+    }
+};
+
+// Events lose half their weight every window / HALF_LIVES_PER_WINDOW
+const HALF_LIVES_PER_WINDOW = 3;
+
+// Videos kept per snapshot
+const SNAPSHOT_SIZE = 200;
+
+const cache = new Map();
+
+/**
+ * Computes the trending ranking of one window
+ *
+ * @param {String} window - Key of TRENDING_WINDOWS
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} - [{ video, score, views, likes, comments }], best first
+ */
+const computeTrending = async (window, now = new Date()) => {
+    const windowMs = TRENDING_WINDOWS[window];
+    const halfLifeMs = windowMs / HALF_LIVES_PER_WINDOW;
+
+    return ChannelEvent.aggregate([
+        {
+            $match: {
+                type: { $in: Object.keys(EVENT_WEIGHTS) },
+                video: { $exists: true },
+                occurredAt: { $gte: new Date(now.getTime() - windowMs), $lte: now }
+            }
+        },
+        {
+            $group: {
+                _id: "$video",
+                engagement: {
+                    $sum: {
+                        $multiply: [
+                            weightOfType,
+                            { $pow: [0.5, { $divide: [{ $subtract: [now, "$occurredAt"] }, halfLifeMs] }] }
+                        ]
+                    }
+                },
+                views: { $sum: { $cond: [{ $eq: ["$type", "view"] }, 1, 0] } },
+                likes: {
+                    $sum: {
+                        $switch: {
+                            branches: [
+                                { case: { $eq: ["$type", "like"] }, then: 1 },
+                                { case: { $eq: ["$type", "unlike"] }, then: -1 }
+                            ],
+                            default: 0
+                        }
+                    }
+                },
+                comments: { $sum: { $cond: [{ $eq: ["$type", "comment"] }, 1, 0] } }
+            }
+        },
+        {
+            $match: {
+                engagement: { $gt: 0 }
+            }
+        },
+        {
+            // Only public videos can trend
+            $lookup: {
+                from: "videos",
+                localField: "_id",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    { $match: listedVideoFilter() },
+                    { $project: { createdAt: 1 } }
+                ]
+            }
+        },
+        {
+            $unwind: "$video"
+        },
+        {
+            $project: {
+                _id: 0,
+                video: "$video._id",
+                views: 1,
+                likes: { $max: ["$likes", 0] },
+                comments: 1,
+                score: {
+                    $divide: [
+                        "$engagement",
+                        { $add: [1, { $divide: [{ $max: [{ $subtract: [now, "$video.createdAt"] }, 0] }, windowMs] }] }
+                    ]
+                }
+            }
+        },
+        {
+            $sort: {
+                score: -1,
+                video: 1
+            }
+        },
+        {
+            $limit: SNAPSHOT_SIZE
+        }
+    ]).allowDiskUse(true);
+};
+
+// Recomputes and stores the snapshot of every window
+const refreshTrending = async (now = new Date()) => {
+    for (const window of Object.keys(TRENDING_WINDOWS)) {
+        const entries = await computeTrending(window, now);
+        const snapshot = await TrendingSnapshot.findOneAndUpdate(
+            { window },
+            { $set: { computedAt: now, entries } },
+            { upsert: true, new: true, lean: true }
+        );
+        cache.set(window, { snapshot, loadedAt: Date.now() });
+    }
+};
+
+/**
+ * Latest trending snapshot of a window, or null before the first refresh
+ * Snapshots are cached in memory for one refresh interval
+ */
+const getTrendingSnapshot = async (window) => {
+    const refreshInterval = Number(process.env.TRENDING_REFRESH_INTERVAL_MS || TRENDING_REFRESH_INTERVAL_MS);
+    const cached = cache.get(window);
+    if (cached && Date.now() - cached.loadedAt < refreshInterval) {
+        return cached.snapshot;
+    }
+
+    const snapshot = await TrendingSnapshot.findOne({ window }).lean();
+    if (snapshot) {
+        cache.set(window, { snapshot, loadedAt: Date.now() });
+    }
+    return snapshot;
+};
+
+/**
+ * Refreshes trending now and then every TRENDING_REFRESH_INTERVAL_MS
+ * Runs never overlap: a slow run delays the next one instead
+ */
+const startTrendingRefresher = () => {
+    const interval = Number(process.env.TRENDING_REFRESH_INTERVAL_MS || TRENDING_REFRESH_INTERVAL_MS);
+
+    const run = async () => {
+        try {
+            await refreshTrending();
+        } catch (error) {
+            console.log("Trending refresh failed", error);
+        }
+        setTimeout(run, interval).unref();
+    };
+
+    setTimeout(run, 0).unref();
+};
+
+export { computeTrending, refreshTrending, getTrendingSnapshot, startTrendingRefresher };
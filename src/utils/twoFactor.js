@@ -0,0 +1,183 @@
+/*
+ * Two-Factor Authentication Module
+ *
+ * TOTP enrollment and verification on top of the TOTP module:
+ *   - enrollment stores a pending secret; the first valid code from the
+ *     authenticator app confirms it and turns two-factor on
+ *   - recovery codes are shown once and stored hashed; each works once
+ *   - a TOTP code is refused if its time step was already used, so an
+ *     intercepted code can't be replayed inside its 30-second window
+ *
+ * Logging in with two-factor on takes two steps. The password step returns
+ * a short-lived challenge token instead of the session tokens, and the
+ * challenge plus a code are exchanged for them.
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { User } from "../models/user.models.js";
+import { hashToken } from "./sessions.js";
+import { generateSecret, verifyCode, buildOtpauthUri } from "./totp.js";
+import { TWO_FACTOR_CHALLENGE_TTL_SECONDS, TWO_FACTOR_RECOVERY_CODE_COUNT } from "../constants.js";
+
+const CHALLENGE_AUDIENCE = "two-factor-login";
+
+// Recovery codes are compared case- and separator-insensitively
+const normalizeRecoveryCode = (code) => String(code ?? "").toUpperCase().replace(/[\s-]/g, "");
+
+// Creates fresh recovery codes like "3F9A1-C07B2"
+const generateRecoveryCodes = () => Array.from({ length: TWO_FACTOR_RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString("hex").toUpperCase();
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+const hashRecoveryCodes = (codes) => codes.map((code) => hashToken(normalizeRecoveryCode(code)));
+
+/**
+ * Starts enrollment with a new pending secret
+ * Replaces any earlier unconfirmed one
+ *
+ * @param {Object} user - User document (_id, email)
+ * @returns {Promise<Object>} - { secret, otpauthUri } for the authenticator app
+ */
+const startEnrollment = async (user) => {
+    const secret = generateSecret();
+
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { twoFactorPendingSecret: secret } }
+    );
+
+    const otpauthUri = buildOtpauthUri({
+        secret,
+        account: user.email,
+        issuer: process.env.TOTP_ISSUER || "Play Sphere"
+    });
+
+    return { secret, otpauthUri };
+};
+
+/**
+ * Confirms enrollment with a code from the authenticator app
+ *
+ * @returns {Promise<Array|null>} - The recovery codes, or null if the code is wrong
+ */
+const confirmEnrollment = async (userId, code) => {
+    const user = await User.findById(userId).select("+twoFactorPendingSecret");
+    if (!user?.twoFactorPendingSecret) return null;
+
+    const step = verifyCode(user.twoFactorPendingSecret, code);
+    if (step === null) return null;
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    // Only confirms the secret the code was checked against
+    const result = await User.updateOne(
+        { _id: userId, twoFactorPendingSecret: user.twoFactorPendingSecret },
+        {
+            $set: {
+                twoFactorEnabled: true,
+                twoFactorEnabledAt: new Date(),
+                twoFactorSecret: user.twoFactorPendingSecret,
+                twoFactorRecoveryCodes: hashRecoveryCodes(recoveryCodes),
+                twoFactorLastUsedStep: step
+            },
+            $unset: { twoFactorPendingSecret: "" }
+        }
+    );
+
+    return result.modifiedCount === 1 ? recoveryCodes : null;
+};
+
+/**
+ * Checks a second factor and uses it up
+ *
+ * @param {String} userId
+ * @param {Object} factor - Either { code } from the app or { recoveryCode }
+ * @returns {Promise<Boolean>}
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode } = {}) => {
+    if (recoveryCode) {
+        const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+
+        // Pulling the hash only succeeds once
+        const result = await User.updateOne(
+            { _id: userId, twoFactorEnabled: true, twoFactorRecoveryCodes: hash },
+            { $pull: { twoFactorRecoveryCodes: hash } }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    const user = await User.findById(userId).select("+twoFactorSecret");
+    if (!user?.twoFactorEnabled || !user.twoFactorSecret) return false;
+
+    const step = verifyCode(user.twoFactorSecret, code);
+    if (step === null) return false;
+
+    // Claims the time step; fails if this or a later code was already used
+    const result = await User.updateOne(
+        {
+            _id: userId,
+            $or: [
+                { twoFactorLastUsedStep: { $lt: step } },
+                { twoFactorLastUsedStep: { $exists: false } }
+            ]
+        },
+        { $set: { twoFactorLastUsedStep: step } }
+    );
+    return result.modifiedCount === 1;
+};
+
+// Replaces the recovery codes, returns the new ones
+const regenerateRecoveryCodes = async (userId) => {
+    const recoveryCodes = generateRecoveryCodes();
+
+    await User.updateOne(
+        { _id: userId },
+        { $set: { twoFactorRecoveryCodes: hashRecoveryCodes(recoveryCodes) } }
+    );
+    return recoveryCodes;
+};
+
+// Turns two-factor off and forgets the secret and recovery codes
+const disableTwoFactor = async (userId) => {
+    await User.updateOne(
+        { _id: userId },
+        {
+            $set: { twoFactorEnabled: false },
+            $unset: {
+                twoFactorEnabledAt: "",
+                twoFactorSecret: "",
+                twoFactorPendingSecret: "",
+                twoFactorRecoveryCodes: "",
+                twoFactorLastUsedStep: ""
+            }
+        }
+    );
+};
+
+// Signs the challenge token handed out after a correct password
+const issueLoginChallenge = (user) => jwt.sign(
+    { _id: user._id },
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS, audience: CHALLENGE_AUDIENCE }
+);
+
+// User id of a valid challenge token, or null
+const verifyLoginChallenge = (token) => {
+    try {
+        return jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, { audience: CHALLENGE_AUDIENCE })._id;
+    } catch (error) {
+        return null;
+    }
+};
+
+export {
+    startEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    issueLoginChallenge,
+    verifyLoginChallenge
+};
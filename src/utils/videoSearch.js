@@ -0,0 +1,208 @@
+/*
+ * Video Search Module
+ *
+ * Builds search and browse pipelines for videos on top of the MongoDB text
+ * index over title, description and ownerName (see video.models.js).
+ * Queries are passed to $text, never compiled as regular expressions, so
+ * clients cannot send expensive patterns. Results are ranked by relevance
+ * and can be narrowed by channel, duration and upload date.
+ */
+
+import mongoose, { isValidObjectId } from "mongoose";
+import { Video } from "../models/video.models.js";
+import { ApiError } from "./apiError.js";
+import { listedVideoFilter } from "./videoVisibility.js";
+
+const MAX_QUERY_LENGTH = 200;
+const SORTABLE_FIELDS = ["createdAt", "views", "duration", "title"];
+
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_RADIUS = 60;
+
+// Text indexes cannot span collections, so videos carry their owner's names
+const videoOwnerName = (user) => [user?.fullname, user?.username].filter(Boolean).join(" ");
+
+// Keeps the denormalized owner name on a user's videos in sync
+const syncVideoOwnerName = async (user) => {
+    await Video.updateMany(
+        { owner: user._id },
+        { $set: { ownerName: videoOwnerName(user) } }
+    );
+};
+
+const parseNumber = (value, name) => {
+    if (value === undefined || value === "") return undefined;
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new ApiError(400, `${name} must be a non-negative number`);
+    }
+    return number;
+};
+
+const parseDate = (value, name) => {
+    if (value === undefined || value === "") return undefined;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ApiError(400, `${name} must be a valid date`);
+    }
+    return date;
+};
+
+/**
+ * Builds the aggregation pipeline for searching or browsing listed videos
+ *
+ * @param {Object} params
+ * @param {String} params.query - Free-text search (optional)
+ * @param {ObjectId} params.viewerId - Current user, whose own videos are included
+ * @param {String} params.channelId - Only videos owned by this user
+ * @param {String} params.minDuration - Minimum duration in seconds
+ * @param {String} params.maxDuration - Maximum duration in seconds
+ * @param {String} params.uploadedAfter - Earliest upload date
+ * @param {String} params.uploadedBefore - Latest upload date
+ * @param {String} params.sortBy - One of SORTABLE_FIELDS; relevance when omitted
+ * @param {String} params.sortType - "asc" or "desc"
+ * @returns {Array} - Aggregation pipeline
+ */
+const buildVideoSearchPipeline = ({
+    query,
+    viewerId,
+    channelId,
+    minDuration,
+    maxDuration,
+    uploadedAfter,
+    uploadedBefore,
+    sortBy,
+    sortType
+}) => {
+    // A repeated ?query= arrives as an array
+    if (query !== undefined && typeof query !== "string") {
+        throw new ApiError(400, "query must be given once");
+    }
+
+    const search = query?.trim();
+    if (search && search.length > MAX_QUERY_LENGTH) {
+        throw new ApiError(400, `Search query must be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+
+    const conditions = [listedVideoFilter(viewerId)];
+
+    if (channelId) {
+        if (!isValidObjectId(channelId)) {
+            throw new ApiError(400, "Invalid channelId");
+        }
+        conditions.push({ owner: new mongoose.Types.ObjectId(channelId) });
+    }
+
+    const duration = {};
+    const min = parseNumber(minDuration, "minDuration");
+    const max = parseNumber(maxDuration, "maxDuration");
+    if (min !== undefined) duration.$gte = min;
+    if (max !== undefined) duration.$lte = max;
+    if (Object.keys(duration).length) conditions.push({ duration });
+
+    const createdAt = {};
+    const after = parseDate(uploadedAfter, "uploadedAfter");
+    const before = parseDate(uploadedBefore, "uploadedBefore");
+    if (after) createdAt.$gte = after;
+    if (before) createdAt.$lte = before;
+    if (Object.keys(createdAt).length) conditions.push({ createdAt });
+
+    // $text must be part of the first $match stage
+    const pipeline = [
+        {
+            $match: {
+                ...(search ? { $text: { $search: search } } : {}),
+                $and: conditions
+            }
+        }
+    ];
+
+    if (search) {
+        pipeline.push({ $addFields: { score: { $meta: "textScore" } } });
+    }
+
+    if (sortBy) {
+        if (!SORTABLE_FIELDS.includes(sortBy)) {
+            throw new ApiError(400, `sortBy must be one of: ${SORTABLE_FIELDS.join(", ")}`);
+        }
+        pipeline.push({ $sort: { [sortBy]: sortType === "asc" ? 1 : -1, _id: -1 } });
+    } else if (search) {
+        // Most relevant first, newest first among equally relevant videos
+        pipeline.push({ $sort: { score: -1, createdAt: -1 } });
+    } else {
+        pipeline.push({ $sort: { createdAt: -1 } });
+    }
+
+    return pipeline;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Words from the search query, ignoring negated terms ("-word")
+const queryTerms = (query) =>
+    [...new Set(
+        query
+            .replace(/"/g, " ")
+            .split(/\s+/)
+            .filter((term) => term.length > 1 && !term.startsWith("-"))
+            .map((term) => term.toLowerCase())
+    )];
+
+// Cuts a snippet around the first match and returns match ranges within it
+const buildSnippet = (text, pattern, radius) => {
+    const matches = [...text.matchAll(pattern)];
+    if (!matches.length) return null;
+
+    const first = matches[0].index;
+    const start = radius === undefined ? 0 : Math.max(0, first - radius);
+    const end = radius === undefined ? text.length : Math.min(text.length, first + radius * 2);
+    const prefix = start > 0 ? "…" : "";
+    const suffix = end < text.length ? "…" : "";
+
+    const ranges = matches
+        .filter((match) => match.index >= start && match.index + match[0].length <= end)
+        .map((match) => {
+            const from = match.index - start + prefix.length;
+            return [from, from + match[0].length];
+        });
+
+    return { snippet: prefix + text.slice(start, end) + suffix, ranges };
+};
+
+/**
+ * Finds query matches in a video's title and description
+ *
+ * Terms are matched as word prefixes, so "run" also highlights "running"
+ * the way the stemmed text index matches it.
+ *
+ * @param {Object} video - Video with title and description
+ * @param {String} query - The search query
+ * @returns {Array<{ field: String, snippet: String, ranges: Array<[Number, Number]> }>}
+ *   ranges are [start, end) character offsets of matches within snippet
+ */
+const highlightMatches = (video, query) => {
+    const terms = queryTerms(query || "");
+    if (!terms.length) return [];
+
+    const pattern = new RegExp(`\\b(?:${terms.map(escapeRegex).join("|")})\\w*`, "gi");
+    const highlights = [];
+
+    const title = buildSnippet(video.title || "", pattern);
+    if (title) highlights.push({ field: "title", ...title });
+
+    const description = buildSnippet(video.description || "", pattern, SNIPPET_RADIUS);
+    if (description) highlights.push({ field: "description", ...description });
+
+    return highlights;
+};
+
+export {
+    MAX_QUERY_LENGTH,
+    escapeRegex,
+    buildVideoSearchPipeline,
+    highlightMatches,
+    videoOwnerName,
+    syncVideoOwnerName
+};
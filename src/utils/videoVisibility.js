@@ -0,0 +1,80 @@
+/*
+ * Video Visibility Rules
+ *
+ * The single place that decides which videos a viewer may see. Every read
+ * path builds its MongoDB filters from these helpers instead of checking
+ * visibility itself:
+ *   - Listings (search, browsing) only include public videos
+ *   - Direct access (by id, playlists, likes, history) also allows unlisted
+ *   - Owners always see their own videos, including private drafts
+ */
+
+import mongoose, { isValidObjectId } from "mongoose";
+import { Video } from "../models/video.models.js";
+import { ApiError } from "./apiError.js";
+import { VIDEO_VISIBILITY } from "../constants.js";
+
+const LISTED = [VIDEO_VISIBILITY.PUBLIC];
+const REACHABLE = [VIDEO_VISIBILITY.PUBLIC, VIDEO_VISIBILITY.UNLISTED];
+
+const buildFilter = (allowed, viewerId, prefix) => {
+    const field = (name) => (prefix ? `${prefix}.${name}` : name);
+    const conditions = [{ [field("visibility")]: { $in: allowed } }];
+
+    if (viewerId) {
+        conditions.push({ [field("owner")]: new mongoose.Types.ObjectId(viewerId) });
+    }
+    return { $or: conditions };
+};
+
+/**
+ * Filter for videos that may appear in listings and search results
+ *
+ * @param {ObjectId|String} viewerId - Current user, whose own videos are included
+ * @param {String} prefix - Optional path prefix when videos are nested (e.g. "video")
+ * @returns {Object} - MongoDB query / $match filter
+ */
+const listedVideoFilter = (viewerId, prefix) => buildFilter(LISTED, viewerId, prefix);
+
+/**
+ * Filter for videos that may be opened directly (by id, from a playlist,
+ * from likes or watch history)
+ *
+ * @param {ObjectId|String} viewerId - Current user, whose own videos are included
+ * @param {String} prefix - Optional path prefix when videos are nested
+ * @returns {Object} - MongoDB query / $match filter
+ */
+const reachableVideoFilter = (viewerId, prefix) => buildFilter(REACHABLE, viewerId, prefix);
+
+// Returns true if the viewer may open this video directly
+const canViewVideo = (video, viewerId) =>
+    REACHABLE.includes(video.visibility) ||
+    (!!viewerId && video.owner?.toString() === viewerId.toString());
+
+/**
+ * Loads a video the viewer is allowed to open, or throws
+ *
+ * Videos the viewer may not see are reported as missing (404), so their
+ * existence is not revealed.
+ */
+const findViewableVideo = async (videoId, viewerId) => {
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId");
+    }
+
+    const video = await Video.findById(videoId);
+    if (!video || !canViewVideo(video, viewerId)) {
+        throw new ApiError(404, "Video not found");
+    }
+    return video;
+};
+
+// Stamps publishedAt the first time a video is public; call after any
+// visibility change. Later hiding and re-showing keeps the original time
+const markPublished = (video) => {
+    if (video.visibility === VIDEO_VISIBILITY.PUBLIC && !video.publishedAt) {
+        video.publishedAt = new Date();
+    }
+};
+
+export { listedVideoFilter, reachableVideoFilter, canViewVideo, findViewableVideo, markPublished };
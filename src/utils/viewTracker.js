@@ -0,0 +1,94 @@
+/*
+ * View Tracking Module
+ *
+ * Counts video views and maintains users' watch history. A viewer adds at
+ * most one view to a video per VIEW_COUNT_WINDOW_MS, while every fetch moves
+ * the video to the front of their watch history.
+ */
+
+import mongoose from "mongoose";
+import { Video } from "../models/video.models.js";
+import { User } from "../models/user.models.js";
+import { View } from "../models/view.models.js";
+import { VIEW_COUNT_WINDOW_MS, WATCH_HISTORY_LIMIT } from "../constants.js";
+
+// Claims the view slot for this viewer, returns true if the view should be counted
+const claimView = async (videoId, viewerId) => {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - VIEW_COUNT_WINDOW_MS);
+
+    // Reuse an existing record only if its window has already lapsed
+    // (the TTL monitor runs periodically, so expired records can linger)
+    const renewed = await View.updateOne(
+        { video: videoId, viewer: viewerId, lastCountedAt: { $lte: windowStart } },
+        { $set: { lastCountedAt: now } }
+    );
+    if (renewed.modifiedCount === 1) return true;
+
+    try {
+        await View.create({ video: videoId, viewer: viewerId, lastCountedAt: now });
+        return true;
+    } catch (error) {
+        // Duplicate key: the viewer was already counted inside the window
+        if (error?.code === 11000) return false;
+        throw error;
+    }
+};
+
+// Moves a video to the front of the user's watch history, removing older
+// occurrences and trimming the list to WATCH_HISTORY_LIMIT in one update
+const pushToWatchHistory = async (userId, videoId) => {
+    const id = new mongoose.Types.ObjectId(videoId);
+
+    await User.updateOne({ _id: userId }, [
+        {
+            $set: {
+                watchHistory: {
+                    $slice: [
+                        {
+                            $concatArrays: [
+                                [id],
+                                {
+                                    $filter: {
+                                        input: { $ifNull: ["$watchHistory", []] },
+                                        cond: { $ne: ["$$this", id] }
+                                    }
+                                }
+                            ]
+                        },
+                        WATCH_HISTORY_LIMIT
+                    ]
+                }
+            }
+        }
+    ]);
+};
+
+// Records that a viewer fetched a video, returns true if the view was counted
+const recordView = async (videoId, viewerId) => {
+    if (!viewerId) return false;
+
+    const counted = await claimView(videoId, viewerId);
+    if (counted) {
+        await Video.updateOne({ _id: videoId }, { $inc: { views: 1 } });
+    }
+
+    await pushToWatchHistory(viewerId, videoId);
+    return counted;
+};
+
+const removeWatchHistoryEntry = async (userId, videoId) => {
+    return await User.updateOne(
+        { _id: userId },
+        { $pull: { watchHistory: new mongoose.Types.ObjectId(videoId) } }
+    );
+};
+
+const resetWatchHistory = async (userId) => {
+    return await User.updateOne(
+        { _id: userId },
+        { $set: { watchHistory: [] } }
+    );
+};
+
+export { recordView, removeWatchHistoryEntry, resetWatchHistory };